@@ -7,34 +7,182 @@ class FreeformStateManager {
     constructor(options = {}) {
         this.options = {
             storagePrefix: 'freeform_state_',
-            storageType: 'localStorage', // 'localStorage' oder 'sessionStorage'
+            namespace: ['site', 'user', 'entry'], // Key-Bestandteile neben dem Formular-Handle: 'site', 'user', 'entry', 'path' oder (form, identity) => String
+            site: null, // Site-Handle (String oder (form) => String), sonst data-freeform-state-site
+            siteFromLang: false, // ohne Site-Handle <html lang> verwenden (Sprachversionen bekommen getrennte Drafts)
+            userId: null, // Benutzer-ID (String oder (form) => String), sonst data-freeform-state-user
+            entryFieldNames: ['entryId', 'submissionId', 'freeform_entry_id'], // Hidden-Felder mit der ID eines bearbeiteten Eintrags
+            // Freeform-Formulare haben spezifische Klassen/Attribute
+            formSelectors: [
+                'form[data-freeform]',
+                'form.freeform-form',
+                'form.formularNeu', // Dein spezifischer Selector
+                'form.anfrage'      // Dein spezifischer Selector
+            ],
+            observeMutations: true, // per AJAX geladene Formulare und nachträglich eingefügte Felder erkennen
+            navigation: 'auto', // 'auto', Adapter-Name(n) (swup, swup4, turbo, barba, htmx), eigener Adapter oder false
+            swup: null, // swup-Instanz (Standard: globales window.swup)
+            storageType: 'localStorage', // Name eines registrierten Adapters oder eigene Adapter-Instanz
+            storageOptions: {}, // Optionen für die Adapter-Factory (z.B. { dbName } für IndexedDB)
             autoSave: true,
+            saveDelay: 500, // Debounce pro Formular nach der letzten Eingabe
+            maxSaveDelay: 5000, // bei Dauereingabe spätestens nach dieser Zeit speichern
+            idleTimeout: 1000, // Speichern per requestIdleCallback, spätestens nach dieser Zeit
             autoRestore: true,
-            clearOnSubmit: true,
+            clearOnSubmit: true, // nur nach bestätigtem Erfolg (Freeform-AJAX-Events bzw. Erfolgs-Redirect)
+            submitErrorSelector: '.ff-form-errors, .ff-errors, [data-freeform-errors]', // Fehlerausgabe nach Reload
+            submitSuccessSelector: '.ff-form-success, [data-freeform-success]', // Erfolgsmeldung nach Reload
+            submitResultTimeout: 60 * 1000, // so lange gilt ein Reload/Redirect als Antwort auf den Submit
+            returnUrlFieldNames: ['formReturnUrl', 'returnUrl', 'redirect'], // Hidden-Felder mit der Weiterleitung nach Erfolg (oder data-freeform-state-return-url)
+            mergeStrategy: 'draft-wins', // Draft vs. vom Server gerenderte Werte: 'draft-wins', 'server-wins', 'only-fill-empty' oder (name, element, form) => Strategie
+            fieldErrorSelector: '.ff-has-errors, [aria-invalid="true"]', // Feld mit Validierungsfehler
+            fieldContainerSelector: '[data-field-container], .freeform-column, .ff-field', // Feld-Wrapper mit Fehlerliste (submitErrorSelector)
             debug: false,
-            excludeFields: ['honeypot', 'csrf_token', 'CRAFT_CSRF_TOKEN'],
+            excludeFields: ['honeypot', 'csrf_token', 'CRAFT_CSRF_TOKEN'], // Namen, Globs ('card_*') oder RegExp
+            maskFields: [], // wie excludeFields, merkt sich aber, dass das Feld ausgefüllt war
+            detectSensitive: true, // Passwörter, Kartennummern, IBANs und autocomplete="cc-*" automatisch erkennen
+            sensitiveMode: 'exclude', // für erkannte Felder: 'exclude' oder 'mask'
+            sensitiveNamePattern: /passw(or)?d|kennwort|iban|cvc|cvv|card_?num|cc_?num|kreditkarte/i,
+            persistFiles: false, // Opt-in: Datei-Uploads als Blobs im Browser speichern und wieder anhängen
+            fileStorageType: 'indexedDB', // Adapter muss Blobs speichern können (indexedDB, memory)
+            fileStorageOptions: { dbName: 'freeform_state_files' },
+            maxFileSize: 10 * 1024 * 1024, // pro Datei
+            maxFiles: 10, // pro Formular
+            maxTotalFileSize: 25 * 1024 * 1024, // pro Formular
+            encryption: false, // true = Session-Schlüssel, oder { key: CryptoKey | Base64 | () => Promise }; Speichern beim Verlassen der Seite dann nur asynchron
+            rowAddSelector: '[data-freeform-table-add-row], .form-table-add-row, [data-add-row]', // "Zeile hinzufügen"
+            rowFactories: {}, // eigene Zeilen-Erzeugung je Feld: { handle: (form, handle, index) => {} }
+            pageFieldNames: ['freeform_page_index', 'page_index', 'pageIndex', 'currentPage'], // Hidden-Felder mit Seitenindex
+            getPageIndex: null, // eigene Erkennung: (form) => Seitenindex
+            on: {}, // Lifecycle-Listener schon vor init(), z.B. { afterRestore: (event) => {} }
+            hooks: {}, // Transform-Hooks, z.B. { save: [(state) => state] }
+            crossTabSync: false, // Opt-in: Drafts zwischen Tabs abgleichen (BroadcastChannel / storage-Event)
+            conflictPolicy: 'last-write-wins', // 'last-write-wins', 'ask' (Hinweis über dem Formular) oder 'merge'
+            syncChannelName: 'freeform_state_sync',
+            remoteSync: null, // Server-Sync: { endpoint, delay, retries, retryDelay, csrfTokenName, csrfToken, headers, fetch }
+            resumeParam: 'freeform_resume', // URL-Parameter für "Später fortsetzen"-Links
+            offlineQueue: null, // Offline-Submits puffern und später senden: true oder { csrfUrl, retryInterval, leaseTime, idempotencyHeader, idempotencyField, maxAge, storageType (indexedDB, memory oder eigener Adapter), storageOptions, fetch }
+            offlineStatusClass: 'freeform-offline-status', // BEM-Basisklasse der Statusanzeige
+            analytics: null, // Opt-in, ohne Feldwerte: { sink: 'dataLayer' | 'beacon' | (report) => {}, endpoint, eventName }
+            restorePrompt: false, // Hinweis "Entwurf wiederherstellen?" statt stiller Wiederherstellung
+            restorePromptClass: 'freeform-restore-prompt', // BEM-Basisklasse für eigenes Styling
+            renderRestorePrompt: null, // eigenes Markup: (info) => HTMLElement, info.type 'restore' oder 'conflict'
+            ttl: 24 * 60 * 60 * 1000, // Lebensdauer eines Drafts in ms
+            formTtl: {}, // pro Formular, z.B. { contact: 7 * 24 * 60 * 60 * 1000 } (oder data-freeform-state-ttl)
+            historySize: 10, // frühere Versionen je Formular (0 = keine Historie)
+            historyMaxAge: 24 * 60 * 60 * 1000, // ältere Versionen verwerfen
+            historyInterval: 60 * 1000, // Mindestabstand zwischen Versionen (Löschen von Inhalten sofort)
+            keyboardUndo: true, // Strg/Cmd+Z außerhalb von Textfeldern, Strg/Cmd+Alt+Z überall im Formular, mit Umschalt Redo
+            sweepOnInit: true, // abgelaufene und verwaiste Einträge beim Start entfernen
+            maxStorageSize: null, // Budget in Zeichen über alle Drafts inkl. Dateien, älteste werden verdrängt (LRU)
+            schemaMismatch: 'compatible', // bei geändertem Formular: 'compatible', 'migrate' oder 'discard'
+            migrations: {}, // { formId | '*': [(state, { from, to, formId }) => state] }
+            locale: null, // Standard: <html lang>, dann navigator.language
+            messages: {}, // Texte überschreiben/ergänzen: { fr: { promptRestore: 'Restaurer' } }
+            requireConsent: false, // bis grantConsent() nur im Arbeitsspeicher halten
+            consentManager: null, // 'auto', Name(n) (cookiebot, onetrust, klaro) oder eigener Adapter
+            consentCategory: null, // Kategorie/Dienst im Consent-Manager (Standard je Adapter)
+            root: null, // Wirkungsbereich: Element oder Selektor (Standard: ganze Seite)
+            forms: null, // nur diese Formulare verwalten: Elemente, IDs oder Selektoren
+            scope: null, // Kennung der Instanz in ihren Einträgen (Standard: root-Selektor bzw. 'document')
             ...options
         };
         
         this.forms = new Map();
-        this.observers = new Map();
+        this.timers = new Set();
+        this.navigationDetachers = [];
+        this.pendingSaves = new Set();
+        this.idleHandle = null;
+        this.consentDetachers = [];
+        this.globalDetachers = [];
+        this.initialized = false;
+        this.destroyed = false;
+        this.sweeping = null;
+        this.consent = !this.options.requireConsent;
+        this.storage = null;
+        this.fileStorage = null;
+        this.listeners = new Map();
+        this.tabId = Math.random().toString(36).substr(2, 9);
+        this.channel = null;
+        this.hooks = { save: [], restore: [] };
+        this.migrations = new Map();
+        this.cipher = this.options.encryption ? new StateCipher(
+            this.options.encryption === true ? {} : this.options.encryption
+        ) : null;
+        
+        // Queue-Key mit storagePrefix, damit Purge und Namespacing ihn erfassen
+        this.remoteSync = this.options.remoteSync ? new RemoteSyncClient({
+            queueKey: this.options.storagePrefix + 'sync_queue',
+            ...this.options.remoteSync
+        }, {
+            getEntry: (key) => this.readEntry(key),
+            onSynced: (key, token) => this.storeResumeToken(key, token),
+            canPersist: () => this.consent
+        }) : null;
+        
+        this.submissionQueue = this.options.offlineQueue ? new SubmissionQueue({
+            ...(this.options.offlineQueue === true ? {} : this.options.offlineQueue),
+            storage: this.createOutboxStorage(),
+            cipher: this.cipher
+        }, {
+            onStatus: (item, status, detail) => this.handleQueuedSubmission(item, status, detail)
+        }) : null;
+        
+        this.analytics = this.options.analytics ? new FormAnalytics(this.options.analytics) : null;
+        if (this.analytics) {
+            // Ohne Einwilligung gestoppt anlegen, grantConsent() startet die Erfassung
+            if (!this.consent) this.analytics.stop();
+            this.setupAnalytics();
+        }
+        
+        Object.entries(this.options.on).forEach(([name, handler]) => this.on(name, handler));
+        Object.entries(this.options.migrations).forEach(([formId, migrations]) => {
+            [].concat(migrations).forEach(migration => this.addMigration(formId, migration));
+        });
+        Object.entries(this.options.hooks).forEach(([name, hooks]) => {
+            [].concat(hooks).forEach(hook => this.addHook(name, hook));
+        });
         
         this.init();
     }
     
     init() {
-        // Alle Freeform-Formulare finden
+        // Mehrfacher Aufruf hängt keine weiteren Listener an
+        if (this.initialized || this.destroyed) return;
+        this.initialized = true;
+        
+        // Consent-Manager anbinden (kann die Einwilligung sofort erteilen)
+        this.setupConsent();
+        
+        // Abgelaufene und verwaiste Einträge aufräumen; Restores warten darauf (startRestore)
+        if (this.options.sweepOnInit) {
+            this.sweeping = this.sweepStorage();
+        }
+        
+        // Alle Freeform-Formulare finden (registriert auch die Listener)
         this.discoverForms();
         
-        // Event Listeners für Form-Interaktionen
-        this.attachFormListeners();
+        // Abgeschickte Formulare, die nach dem Redirect nicht mehr auf der Seite sind
+        this.resolveSubmittedDrafts();
+        
+        // Später eingefügte Formulare und Felder
+        this.setupMutationObserver();
         
-        // swup.js Integration
-        this.setupSwupIntegration();
+        // Router-Integration (swup, Turbo, Barba, htmx, ...)
+        this.setupNavigationIntegration();
         
         // Page Visibility API für Auto-Save
         this.setupVisibilityHandlers();
         
+        // Abgleich mit anderen Tabs
+        this.setupCrossTabSync();
+        
+        // Draft aus "Später fortsetzen"-Link übernehmen
+        this.resumeFromLink();
+        
+        // Offline abgeschickte Formulare nachsenden
+        this.setupOfflineQueue();
+        
         if (this.options.debug) {
             console.log('🎵 FreeformStateManager initialized', {
                 forms: this.forms.size,
@@ -44,621 +192,6139 @@ class FreeformStateManager {
     }
     
     /**
-     * Alle Freeform-Formulare auf der Seite entdecken
+     * Alle Freeform-Formulare im Wirkungsbereich entdecken
      */
-    discoverForms() {
-        // Freeform-Formulare haben spezifische Klassen/Attribute
-        const selectors = [
-            'form[data-freeform]',
-            'form.freeform-form',
-            'form.formularNeu', // Dein spezifischer Selector
-            'form.anfrage'      // Dein spezifischer Selector
-        ];
+    discoverForms(root = this.getRoot()) {
+        if (!root) return;
         
-        selectors.forEach(selector => {
-            document.querySelectorAll(selector).forEach(form => {
-                this.registerForm(form);
-            });
+        // Explizite Formularliste braucht keinen Freeform-Selektor
+        const forms = this.options.forms ?
+            this.resolveScopedForms().filter(form => root.contains(form)) :
+            Array.from(root.querySelectorAll(this.options.formSelectors.join(', ')));
+        
+        forms.forEach(form => this.registerForm(form));
+    }
+    
+    /**
+     * Wurzelelement der Instanz (root-Option), Selektoren werden jedes Mal neu aufgelöst,
+     * da Router den Inhalt austauschen
+     */
+    getRoot() {
+        const root = this.options.root;
+        if (!root) return document;
+        
+        return typeof root === 'string' ? document.querySelector(root) : root;
+    }
+    
+    /**
+     * Formulare aus der forms-Option (Elemente, IDs oder Selektoren)
+     */
+    resolveScopedForms() {
+        return [].concat(this.options.forms).flatMap(entry => {
+            if (typeof entry !== 'string') return entry ? [entry] : [];
+            
+            const element = document.getElementById(entry);
+            if (element) return [element];
+            
+            try {
+                return Array.from(document.querySelectorAll(entry));
+            } catch (error) {
+                return [];
+            }
         });
     }
     
+    /**
+     * Gehört das Formular zum Wirkungsbereich dieser Instanz?
+     */
+    isInScope(form) {
+        const root = this.getRoot();
+        if (!root || !root.contains(form)) return false;
+        
+        return !this.options.forms || this.resolveScopedForms().includes(form);
+    }
+    
+    /**
+     * Kennung der Instanz, wird in jeden Eintrag geschrieben
+     * Sweep und Submit-Auswertung fassen nur Einträge der eigenen Kennung an,
+     * Instanzen mit Element-root oder forms-Liste sollten daher scope setzen
+     */
+    getScope() {
+        const { scope, root, forms } = this.options;
+        if (scope) return scope;
+        if (typeof root === 'string') return root;
+        
+        return root || forms ? 'scoped' : 'document';
+    }
+    
+    /**
+     * Gehört der (rohe) Eintrag dieser Instanz? Einträge ohne Kennung gehören der Standardinstanz
+     */
+    ownsEntry(raw) {
+        return (raw.scope || 'document') === this.getScope();
+    }
+    
     /**
      * Einzelnes Formular registrieren
+     * Liefert die Form-ID oder null, wenn eine andere Instanz das Formular verwaltet
      */
     registerForm(form) {
-        if (!form.id && !form.name) {
-            // Fallback ID generieren
-            form.id = `freeform_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (this.destroyed) return null;
+        
+        // Jedes Formular hat höchstens einen Manager (z.B. Auto-Init plus eigene Instanz)
+        const owner = FreeformStateManager.formOwners.get(form);
+        if (owner && owner !== this) {
+            if (this.options.debug) {
+                console.warn(`⚠️ Form ${form.id || form.name} is already managed by another FreeformStateManager instance`);
+            }
+            return null;
         }
         
-        const formId = form.id || form.name;
-        const storageKey = this.options.storagePrefix + formId;
+        // Bereits registriert: nichts zu tun
+        const registered = this.getFormDataByElement(form);
+        if (registered) return registered.id;
+        
+        const identity = this.getFormIdentity(form);
+        const baseId = form.getAttribute('id') || form.getAttribute('name') || identity.handle;
+        let formId = baseId;
+        let storageKey = this.getStorageKey(form, identity);
+        
+        // Dasselbe Formular mehrfach auf der Seite: in DOM-Reihenfolge durchnummerieren (_2, _3, ...)
+        // Ändert sich die Reihenfolge, landen Drafts im falschen Formular – dann data-freeform-state-key vergeben
+        for (let index = 2; this.forms.has(formId) && this.forms.get(formId).element.isConnected; index++) {
+            formId = `${baseId}_${index}`;
+            storageKey = `${this.getStorageKey(form, identity)}_${index}`;
+        }
+        
+        if (formId !== baseId && this.options.debug) {
+            console.warn(`⚠️ Form ${baseId} appears more than once, draft key depends on DOM order (${formId}); set data-freeform-state-key for a stable key`);
+        }
+        
+        // Neues Element mit gleicher ID (z.B. nach swup-Seitenwechsel) ersetzt das alte
+        if (this.forms.has(formId)) {
+            this.unregisterForm(formId);
+        }
+        
+        FreeformStateManager.formOwners.set(form, this);
+        
+        const step = this.getFormStep(form);
         
         this.forms.set(formId, {
+            id: formId,
             element: form,
+            identity: identity,
             storageKey: storageKey,
-            lastSaved: null
+            step: step,
+            ttl: this.getFormTtl(formId, form),
+            lastSaved: null,
+            lastChanged: null,
+            lastSynced: null,
+            fieldTimestamps: {},
+            applying: false,
+            resumeToken: null,
+            schemaReport: null,
+            remoteTimer: null,
+            remotePush: null,
+            submitPending: null,
+            submitReturnUrl: null,
+            completed: false,
+            prompt: null,
+            listeners: null,
+            widgets: new WeakMap(),
+            widgetDetachers: [],
+            historyIndex: null,
+            skipSnapshot: false,
+            dirty: new Set(),
+            dirtySince: null,
+            saveTimer: null,
+            saving: false,
+            cachedState: null,
+            // Struktur je Seite, festgehalten bei Registrierung bzw. erstem Besuch der Seite
+            schemas: { [step]: this.getFormSchema(form) },
+            timings: { saves: 0, incrementalSaves: 0, syncSaves: 0, totalDuration: 0, lastDuration: null, maxDuration: 0 }
         });
         
-        // Auto-restore beim Registrieren
-        if (this.options.autoRestore) {
-            this.restoreFormState(formId);
-        }
+        this.attachFormListeners(formId);
+        this.attachWidgetListeners(formId);
+        
+        if (this.analytics) this.analytics.track(formId, form);
+        this.startRestore(formId);
         
         if (this.options.debug) {
             console.log(`📝 Form registered: ${formId}`);
         }
+        
+        return formId;
     }
     
     /**
-     * Event Listeners für alle Formulare
+     * Identität eines Formulars für den Storage-Key
+     * handle aus Freeform-Markup, dazu Site, Benutzer, bearbeiteter Eintrag und Pfad
      */
-    attachFormListeners() {
-        this.forms.forEach((formData, formId) => {
-            const form = formData.element;
-            
-            // Form Submit Handler
-            form.addEventListener('submit', (e) => {
-                this.handleFormSubmit(formId, e);
-            });
-            
-            // Input Change Handlers
-            this.attachInputListeners(form, formId);
-            
-            // Freeform-spezifische Events
-            this.attachFreeformListeners(form, formId);
-        });
+    getFormIdentity(form) {
+        const resolve = (value) => typeof value === 'function' ? value(form) : value;
+        const inherited = (attribute) => {
+            const element = form.closest(`[${attribute}]`);
+            return element ? element.getAttribute(attribute) : null;
+        };
+        
+        return {
+            handle: this.getFormHandle(form),
+            site: resolve(this.options.site) || inherited('data-freeform-state-site') ||
+                (this.options.siteFromLang && document.documentElement.lang) || null,
+            user: resolve(this.options.userId) || inherited('data-freeform-state-user') || null,
+            entry: this.getFormEntryId(form),
+            path: window.location.pathname.replace(/\/+$/, '') || '/'
+        };
     }
     
     /**
-     * Input-spezifische Listener
+     * Stabiler Formular-Handle
+     * Reihenfolge: data-freeform-state-key, Freeform data-handle, Hidden-Feld mit Handle,
+     * formHash, id/name, sonst aus Ziel und Feldnamen abgeleitet
      */
-    attachInputListeners(form, formId) {
-        const inputs = form.querySelectorAll(`
-            input[type="text"],
-            input[type="email"],
-            input[type="tel"],
-            input[type="url"],
-            input[type="number"],
-            input[type="password"],
-            input[type="search"],
-            input[type="date"],
-            input[type="time"],
-            input[type="datetime-local"],
-            input[type="radio"],
-            input[type="checkbox"],
-            select,
-            textarea,
-            .freeform-input
-        `);
+    getFormHandle(form) {
+        const declared = form.getAttribute('data-freeform-state-key') || form.getAttribute('data-handle');
+        if (declared) return declared;
         
-        inputs.forEach(input => {
-            // Verschiedene Events für verschiedene Input-Typen
-            const events = this.getInputEvents(input);
-            
-            events.forEach(event => {
-                input.addEventListener(event, () => {
-                    if (this.options.autoSave) {
-                        this.debounce(() => this.saveFormState(formId), 500)();
-                    }
-                });
-            });
-        });
+        const handleField = form.querySelector('input[name="freeform_form_handle"]');
+        if (handleField && handleField.value) return handleField.value;
+        
+        // formHash = "<Formular>-<Seite>-<Zufall>", nur der erste Teil bleibt gleich
+        const hashField = form.querySelector('input[name="formHash"]');
+        if (hashField && hashField.value) return hashField.value.split('-')[0];
+        
+        const attribute = form.getAttribute('id') || form.getAttribute('name');
+        if (attribute) return attribute;
+        
+        // Nur Namen: Typen und Optionen ändern sich mit Widgets und dynamischen Auswahllisten
+        const names = Object.keys(this.getFormSchema(form).fields).sort();
+        return 'form_' + this.hashString((form.getAttribute('action') || '') + JSON.stringify(names));
     }
     
     /**
-     * Freeform-spezifische Event Listener
+     * ID des bearbeiteten Eintrags (leer bei neuen Einträgen)
      */
-    attachFreeformListeners(form, formId) {
-        // Multi-Select Dropdowns
-        form.querySelectorAll('.selectMultiple').forEach(select => {
-            select.addEventListener('click', () => {
-                setTimeout(() => this.saveFormState(formId), 100);
-            });
-        });
+    getFormEntryId(form) {
+        const declared = form.getAttribute('data-freeform-state-entry');
+        if (declared) return declared;
         
-        // File Upload Fields
-        form.querySelectorAll('.fileuploader').forEach(uploader => {
-            uploader.addEventListener('change', () => {
-                this.saveFormState(formId);
-            });
-        });
+        for (const name of this.options.entryFieldNames) {
+            const field = form.querySelector(`input[name="${name}"]`);
+            if (field && field.value) return field.value;
+        }
         
-        // Custom Checkbox/Radio Groups
-        form.querySelectorAll('.checklist, .deutschFremd').forEach(group => {
-            group.addEventListener('change', () => {
-                this.saveFormState(formId);
-            });
-        });
+        return null;
     }
     
     /**
-     * Passende Events für Input-Typ bestimmen
+     * Storage-Key aus Prefix, Handle und den Namespace-Teilen
+     * z.B. freeform_state_contact|site=de|user=42
      */
-    getInputEvents(input) {
-        const type = input.type || input.tagName.toLowerCase();
+    getStorageKey(form, identity) {
+        const namespace = this.options.namespace;
+        const clean = (value) => String(value).replace(/[|=]/g, '_');
+        let suffix;
         
-        switch (type) {
-            case 'checkbox':
-            case 'radio':
-                return ['change'];
-            case 'select':
-            case 'select-one':
-            case 'select-multiple':
-                return ['change'];
-            case 'textarea':
-                return ['input', 'blur'];
-            case 'file':
-                return ['change'];
-            default:
-                return ['input', 'blur'];
+        if (typeof namespace === 'function') {
+            suffix = namespace(form, identity);
+        } else {
+            suffix = [].concat(namespace || [])
+                .filter(part => identity[part])
+                .map(part => `${part}=${clean(part === 'path' ? this.hashString(identity.path) : identity[part])}`)
+                .join('|');
         }
+        
+        return this.options.storagePrefix + clean(identity.handle) + (suffix ? `|${suffix}` : '');
     }
     
     /**
-     * Formular-State speichern
+     * Draft unter dem früheren Key (storagePrefix + Form-ID) auf den neuen Key umziehen,
+     * inklusive Historie und Dateien; mit 'path' nur, wenn er von dieser Seite stammt
      */
-    saveFormState(formId) {
-        const formData = this.forms.get(formId);
-        if (!formData) return;
+    async migrateStorageKey(formData) {
+        const legacyKey = this.options.storagePrefix + formData.id;
+        if (legacyKey === formData.storageKey || this.getFormDataByKey(legacyKey)) return;
         
-        const form = formData.element;
-        const state = this.extractFormState(form);
+        const storage = this.getStorage();
         
         try {
-            const storage = this.getStorage();
-            storage.setItem(formData.storageKey, JSON.stringify({
-                state: state,
-                timestamp: Date.now(),
-                url: window.location.href
-            }));
+            const raw = await storage.get(legacyKey);
+            if (!raw || await storage.get(formData.storageKey)) return;
             
-            formData.lastSaved = Date.now();
+            const namespace = this.options.namespace;
+            if (Array.isArray(namespace) && namespace.includes('path') && raw.url &&
+                (new URL(raw.url, window.location.href).pathname.replace(/\/+$/, '') || '/') !== formData.identity.path) {
+                return;
+            }
+            
+            // Roh kopieren, verschlüsselte Einträge bleiben verschlüsselt
+            for (const suffix of ['', '_history']) {
+                const value = suffix ? await storage.get(legacyKey + suffix) : raw;
+                if (!value) continue;
+                
+                await storage.set(formData.storageKey + suffix, value);
+                await storage.remove(legacyKey + suffix);
+            }
+            
+            if (this.options.persistFiles) {
+                const fileStorage = this.getFileStorage();
+                for (const key of await fileStorage.list(legacyKey + '_files')) {
+                    const suffix = key.slice(legacyKey.length);
+                    if (!/^_files(_\d+)?$/.test(suffix)) continue;
+                    
+                    await fileStorage.set(formData.storageKey + suffix, await fileStorage.get(key));
+                    await fileStorage.remove(key);
+                }
+            }
             
             if (this.options.debug) {
-                console.log(`💾 State saved for form: ${formId}`, state);
+                console.log(`🔑 Draft moved: ${legacyKey} → ${formData.storageKey}`);
             }
+            this.emit('keyMigrated', formData.id, { from: legacyKey, to: formData.storageKey }, false);
             
         } catch (error) {
-            console.error('❌ Error saving form state:', error);
+            this.reportError(formData.id, 'migrate', error, '❌ Error migrating storage key:');
         }
     }
     
     /**
-     * Formular-State extrahieren
+     * Erst Ergebnis eines vorherigen Submits auswerten, dann Auto-restore (oder erst nachfragen)
+     * Drafts unter dem früheren Key werden vorher übernommen
      */
-    extractFormState(form) {
-        const state = {};
+    startRestore(formId) {
+        const formData = this.forms.get(formId);
         
-        // Standard Form-Inputs
-        const formData = new FormData(form);
-        for (let [key, value] of formData.entries()) {
-            if (this.options.excludeFields.includes(key)) continue;
+        // Erst nach dem Aufräumen lesen, sonst löscht der Sweep womöglich einen gerade wiederhergestellten Draft
+        return Promise.resolve(this.sweeping).then(() => {
+            if (this.forms.get(formId) === formData) return this.migrateStorageKey(formData);
+        }).then(() => this.resolveSubmitResult(formId)).then(kept => {
+            if (!kept || !this.forms.has(formId)) return;
             
-            if (state[key]) {
-                // Multiple values (Checkboxes/Multi-Select)
-                if (Array.isArray(state[key])) {
-                    state[key].push(value);
-                } else {
-                    state[key] = [state[key], value];
-                }
-            } else {
-                state[key] = value;
+            if (this.options.restorePrompt) {
+                this.showRestorePrompt(formId);
+            } else if (this.options.autoRestore) {
+                this.restoreFormState(formId);
             }
+        });
+    }
+    
+    /**
+     * Lebensdauer eines Drafts: data-freeform-state-ttl, formTtl-Option, sonst ttl
+     */
+    getFormTtl(formId, form) {
+        const attribute = parseInt(form.getAttribute('data-freeform-state-ttl'), 10);
+        if (!isNaN(attribute)) return attribute;
+        
+        return this.options.formTtl[formId] || this.options.ttl;
+    }
+    
+    /**
+     * Registriertes Formular zu einem Storage-Key finden
+     */
+    getFormDataByKey(storageKey) {
+        return Array.from(this.forms.values()).find(data => data.storageKey === storageKey) || null;
+    }
+    
+    /**
+     * Aktuelle Seite eines mehrseitigen Freeform-Formulars ermitteln
+     * Reihenfolge: getPageIndex-Option, data-Attribute, Hidden-Felder, sonst 0
+     */
+    getFormStep(form) {
+        if (typeof this.options.getPageIndex === 'function') {
+            const index = this.options.getPageIndex(form);
+            if (index !== null && index !== undefined) return Number(index) || 0;
         }
         
-        // Checkbox States (auch unchecked)
-        form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-            const name = checkbox.name;
-            if (this.options.excludeFields.includes(name)) return;
-            
-            if (!checkbox.checked) {
-                // Unchecked Checkboxes tracken
-                if (!state._unchecked) state._unchecked = [];
-                state._unchecked.push(name);
+        const attributes = ['data-freeform-page', 'data-freeform-page-index', 'data-page-index'];
+        for (const attribute of attributes) {
+            const element = form.hasAttribute(attribute) ? form : form.querySelector(`[${attribute}]`);
+            if (element) {
+                const index = parseInt(element.getAttribute(attribute), 10);
+                if (!isNaN(index)) return index;
             }
-        });
-        
-        // Radio Button Groups
-        form.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
-            const name = radio.name;
-            if (this.options.excludeFields.includes(name)) return;
-            state[name] = radio.value;
-        });
+        }
         
-        // Custom Freeform Elements
-        state._custom = this.extractCustomElements(form);
+        for (const name of this.options.pageFieldNames) {
+            const field = form.querySelector(`input[name="${name}"]`);
+            if (field) {
+                const index = parseInt(field.value, 10);
+                if (!isNaN(index)) return index;
+            }
+        }
         
-        return state;
+        return 0;
     }
     
     /**
-     * Custom Freeform-Elemente extrahieren
+     * Formular abmelden: Listener entfernen, Timer stoppen
      */
-    extractCustomElements(form) {
-        const custom = {};
+    unregisterForm(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
         
-        // Multi-Select Dropdowns
-        form.querySelectorAll('.selectMultiple.open').forEach(select => {
-            const input = select.querySelector('input[type="hidden"]');
-            if (input && input.name) {
-                custom[input.name + '_open'] = true;
-            }
+        Object.entries(formData.listeners || {}).forEach(([type, handler]) => {
+            formData.element.removeEventListener(type, handler);
         });
+        formData.widgetDetachers.forEach(detach => detach());
         
-        // File Upload States
-        form.querySelectorAll('.fileuploader-input').forEach(uploader => {
-            const input = uploader.querySelector('input[type="file"]');
-            if (input && input.files && input.files.length > 0) {
-                custom[input.name + '_files'] = Array.from(input.files).map(file => ({
-                    name: file.name,
-                    size: file.size,
-                    type: file.type
-                }));
+        // Formular verlassen (z.B. Seitenwechsel per swup): Sitzung abschließen
+        if (this.analytics) this.analytics.untrack(formId);
+        
+        clearTimeout(formData.remoteTimer);
+        clearTimeout(formData.saveTimer);
+        this.pendingSaves.delete(formId);
+        this.hideRestorePrompt(formId);
+        this.forms.delete(formId);
+        
+        if (FreeformStateManager.formOwners.get(formData.element) === this) {
+            FreeformStateManager.formOwners.delete(formData.element);
+        }
+        
+        if (this.options.debug) {
+            console.log(`📤 Form unregistered: ${formId}`);
+        }
+    }
+    
+    /**
+     * Formulare abmelden, die nicht mehr im DOM hängen
+     * Ungespeicherte Eingaben werden vorher noch gesichert
+     */
+    unregisterDetachedForms() {
+        this.forms.forEach((formData, formId) => {
+            if (formData.element.isConnected) return;
+            
+            if (formData.lastChanged && formData.lastChanged > (formData.lastSaved || 0)) {
+                this.saveFormState(formId);
             }
+            this.unregisterForm(formId);
         });
-        
-        return custom;
     }
     
     /**
-     * Formular-State wiederherstellen
+     * Registriertes Formular zu einem Element finden
+     */
+    getFormDataByElement(form) {
+        return Array.from(this.forms.values()).find(data => data.element === form) || null;
+    }
+    
+    /**
+     * Event Delegation am Formular
+     * Deckt auch Felder ab, die erst später eingefügt werden
      */
-    restoreFormState(formId) {
+    attachFormListeners(formId) {
         const formData = this.forms.get(formId);
         if (!formData) return;
         
-        try {
-            const storage = this.getStorage();
-            const savedData = storage.getItem(formData.storageKey);
-            
-            if (!savedData) return;
-            
-            const { state, timestamp } = JSON.parse(savedData);
+        const handlers = {
+            // Form Submit Handler
+            submit: (e) => this.handleFormSubmit(formId, e),
             
-            // State-Alter prüfen (max. 24h)
-            const maxAge = 24 * 60 * 60 * 1000; // 24 Stunden
-            if (Date.now() - timestamp > maxAge) {
-                this.clearFormState(formId);
-                return;
-            }
+            // Input Change Handlers (blur bubbelt nicht, daher focusout)
+            input: (e) => this.handleFieldEvent(formId, e),
+            focusout: (e) => this.handleFieldEvent(formId, e),
+            change: (e) => this.handleFieldEvent(formId, e),
             
-            this.applyFormState(formData.element, state);
+            // Zurücksetzen ändert alle Werte ohne input-Events
+            reset: () => this.defer(() => this.handleWidgetChange(formId)),
             
-            if (this.options.debug) {
-                console.log(`🔄 State restored for form: ${formId}`, state);
-            }
+            // Undo über die Snapshot-Historie
+            keydown: (e) => this.handleUndoKey(formId, e),
             
-        } catch (error) {
-            console.error('❌ Error restoring form state:', error);
+            // Freeform AJAX-Lifecycle
+            'freeform-ajax-success': (e) => this.handleAjaxSuccess(formId, e),
+            'freeform-ajax-error': (e) => this.handleAjaxError(formId, e)
+        };
+        
+        Object.entries(handlers).forEach(([type, handler]) => {
+            formData.element.addEventListener(type, handler);
+        });
+        formData.listeners = handlers;
+    }
+    
+    /**
+     * Input-Events (delegiert)
+     */
+    handleFieldEvent(formId, event) {
+        const input = event.target;
+        if (!input.matches || !input.matches(FreeformStateManager.fieldSelector)) return;
+        
+        // Verschiedene Events für verschiedene Input-Typen
+        const type = event.type === 'focusout' ? 'blur' : event.type;
+        if (!this.getInputEvents(input).includes(type)) return;
+        
+        // Vom Manager selbst gesetzte Werte ignorieren
+        if (this.isApplying(formId)) return;
+        if (type !== 'blur') this.trackFieldChange(formId, input.name);
+        
+        // Beim Verlassen eines Feldes nicht erst das Debounce abwarten
+        if (this.options.autoSave) {
+            this.scheduleSave(formId, type === 'blur');
         }
     }
     
     /**
-     * State auf Formular anwenden
+     * Speichern nach Eingaben planen: ein Debounce pro Formular, bei Dauereingabe
+     * spätestens nach maxSaveDelay; geschrieben wird gebündelt im Leerlauf
      */
-    applyFormState(form, state) {
-        Object.entries(state).forEach(([key, value]) => {
-            if (key.startsWith('_')) return; // Meta-Daten überspringen
+    scheduleSave(formId, immediate = false) {
+        const formData = this.forms.get(formId);
+        if (!formData || formData.dirty.size === 0) return;
+        
+        const now = Date.now();
+        if (!formData.dirtySince) formData.dirtySince = now;
+        
+        const delay = immediate ? 0 : Math.max(0, Math.min(
+            this.options.saveDelay,
+            formData.dirtySince + this.options.maxSaveDelay - now
+        ));
+        
+        clearTimeout(formData.saveTimer);
+        formData.saveTimer = setTimeout(() => {
+            this.pendingSaves.add(formId);
             
-            this.restoreField(form, key, value);
-        });
+            if (this.idleHandle === null) {
+                this.idleHandle = this.requestIdle((deadline) => this.processSaveQueue(deadline));
+            }
+        }, delay);
+    }
+    
+    /**
+     * Vorgemerkte Formulare speichern, solange der Browser Leerlauf meldet
+     */
+    processSaveQueue(deadline) {
+        this.idleHandle = null;
         
-        // Custom Elements wiederherstellen
-        if (state._custom) {
-            this.restoreCustomElements(form, state._custom);
+        for (const formId of Array.from(this.pendingSaves)) {
+            if (deadline && !deadline.didTimeout && deadline.timeRemaining() < 1) break;
+            
+            this.pendingSaves.delete(formId);
+            this.saveFormState(formId, { incremental: true });
         }
         
-        // Unchecked Checkboxes
-        if (state._unchecked) {
-            state._unchecked.forEach(name => {
-                const checkbox = form.querySelector(`input[type="checkbox"][name="${name}"]`);
-                if (checkbox) checkbox.checked = false;
-            });
+        if (this.pendingSaves.size > 0) {
+            this.idleHandle = this.requestIdle((next) => this.processSaveQueue(next));
         }
     }
     
     /**
-     * Einzelnes Feld wiederherstellen
+     * requestIdleCallback mit Fallback (Safari)
      */
-    restoreField(form, name, value) {
-        const elements = form.querySelectorAll(`[name="${name}"]`);
-        
-        elements.forEach(element => {
-            const type = element.type || element.tagName.toLowerCase();
-            
-            switch (type) {
-                case 'checkbox':
-                    if (Array.isArray(value)) {
-                        element.checked = value.includes(element.value);
-                    } else {
-                        element.checked = (value === element.value);
-                    }
-                    break;
-                    
-                case 'radio':
-                    element.checked = (element.value === value);
-                    break;
-                    
-                case 'select-multiple':
-                    Array.from(element.options).forEach(option => {
-                        option.selected = Array.isArray(value) ? 
-                            value.includes(option.value) : 
-                            option.value === value;
-                    });
-                    break;
-                    
-                case 'file':
-                    // File inputs können nicht programmatisch gesetzt werden
-                    break;
-                    
-                default:
-                    element.value = Array.isArray(value) ? value[0] : value;
-                    break;
+    requestIdle(callback) {
+        if (typeof window.requestIdleCallback === 'function') {
+            return window.requestIdleCallback(callback, { timeout: this.options.idleTimeout });
+        }
+        return setTimeout(() => callback(null), 1);
+    }
+    
+    /**
+     * Offene Änderungen synchron sichern (pagehide, visibilitychange, beforeunload)
+     * Auch Werte, die ein Script ohne Events gesetzt hat
+     */
+    flushPendingSaves() {
+        this.forms.forEach((formData, formId) => {
+            if (formData.dirty.size > 0 || formData.saving || this.pendingSaves.has(formId) ||
+                this.hasUntrackedChanges(formData)) {
+                this.saveFormStateSync(formId);
             }
+        });
+    }
+    
+    /**
+     * Weicht das Formular vom zuletzt gelesenen Stand ab, ohne dass ein Event kam?
+     * (z.B. per element.value = ... gesetzt) Ohne bisherigen Stand nicht, sonst
+     * würde jedes vom Server vorbefüllte Formular gespeichert
+     */
+    hasUntrackedChanges(formData) {
+        const cached = formData.cachedState;
+        if (!cached || formData.completed) return false;
+        
+        const current = this.extractFormState(formData.element);
+        const names = new Set(Object.keys(current).concat(Object.keys(cached)));
+        
+        return Array.from(names).some(name => JSON.stringify(current[name]) !== JSON.stringify(cached[name]));
+    }
+    
+    /**
+     * Listener der Widget-Adapter anbinden (auch für später initialisierte Widgets)
+     * Adapter ohne Rückgabe (z.B. Instanz noch nicht da) werden beim nächsten Aufruf erneut versucht
+     */
+    attachWidgetListeners(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        Object.entries(FreeformStateManager.widgetAdapters).forEach(([name, adapter]) => {
+            if (!adapter.listen) return;
             
-            // Change Event triggern für Validierung
-            element.dispatchEvent(new Event('change', { bubbles: true }));
+            formData.element.querySelectorAll(adapter.selector).forEach(element => {
+                const attached = formData.widgets.get(element) || new Set();
+                if (attached.has(name)) return;
+                
+                const detach = adapter.listen(element, () => this.handleWidgetChange(formId), this);
+                if (typeof detach !== 'function') return;
+                
+                attached.add(name);
+                formData.widgets.set(element, attached);
+                formData.widgetDetachers.push(detach);
+            });
         });
     }
     
     /**
-     * Custom Elemente wiederherstellen
+     * Änderung aus einem Widget-Adapter
      */
-    restoreCustomElements(form, custom) {
-        Object.entries(custom).forEach(([key, value]) => {
-            if (key.endsWith('_open')) {
-                const selectName = key.replace('_open', '');
-                const select = form.querySelector(`.selectMultiple input[name="${selectName}"]`)?.closest('.selectMultiple');
-                if (select && value) {
-                    select.classList.add('open');
-                }
+    handleWidgetChange(formId) {
+        if (this.isApplying(formId)) return;
+        
+        this.trackFieldChange(formId);
+        
+        if (this.options.autoSave) {
+            this.scheduleSave(formId);
+        }
+    }
+    
+    /**
+     * Feldname eines Widgets (für Datenschutz-Regeln und den Schlüssel in state._custom)
+     */
+    getWidgetName(adapter, element) {
+        if (adapter.name) return adapter.name(element);
+        
+        return element.name || element.getAttribute('data-name') || element.id || null;
+    }
+    
+    /**
+     * Widget-Adapter, der das Setzen eines nativen Feldes übernimmt (Adapter ohne serialize)
+     */
+    getWidgetAdapter(element) {
+        return Object.values(FreeformStateManager.widgetAdapters).find(adapter =>
+            adapter.restore && !adapter.serialize && element.matches(adapter.selector)
+        ) || null;
+    }
+    
+    /**
+     * Eigenen Widget-Adapter registrieren
+     * adapter = { selector, name?(element), suffix?, serialize?(element, manager),
+     *             restore?(element, value, manager), listen?(element, save, manager) => detach() }
+     */
+    static registerWidgetAdapter(name, adapter) {
+        FreeformStateManager.widgetAdapters[name] = adapter;
+    }
+    
+    /**
+     * MutationObserver für dynamisch eingefügte Formulare und Felder
+     */
+    setupMutationObserver() {
+        if (!this.options.observeMutations || typeof MutationObserver === 'undefined') return;
+        
+        // Ein Observer für alle Instanzen, jede wertet nur ihren Wirkungsbereich aus
+        this.globalDetachers.push(FreeformStateManager.subscribe(document, 'mutations',
+            (records) => this.handleMutations(records),
+            (dispatch) => {
+                const observer = new MutationObserver(dispatch);
+                observer.observe(document.body || document.documentElement, {
+                    childList: true,
+                    subtree: true
+                });
+                return () => observer.disconnect();
             }
+        ));
+    }
+    
+    /**
+     * DOM-Änderungen auswerten: neue Formulare registrieren, entfernte abmelden,
+     * neue Felder in bekannten Formularen aus dem Draft befüllen
+     */
+    handleMutations(records) {
+        const formSelector = this.options.formSelectors.join(', ');
+        const addedFields = new Map();
+        const touched = new Set();
+        let removed = false;
+        
+        records.forEach(record => {
+            if (record.removedNodes.length > 0) removed = true;
             
-            if (key.endsWith('_files')) {
-                // File-Info anzeigen (ohne echte Files)
-                const inputName = key.replace('_files', '');
-                const fileInput = form.querySelector(`input[type="file"][name="${inputName}"]`);
-                if (fileInput && Array.isArray(value)) {
-                    // Custom File-Info Element erstellen/updaten
-                    this.displayFileInfo(fileInput, value);
+            record.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                
+                const forms = node.matches(formSelector) ?
+                    [node] : Array.from(node.querySelectorAll(formSelector));
+                if (forms.length > 0) {
+                    forms.filter(form => this.isInScope(form)).forEach(form => this.registerForm(form));
+                    return;
                 }
-            }
+                
+                const formData = node.closest('form') && this.getFormDataByElement(node.closest('form'));
+                if (!formData) return;
+                touched.add(formData.id);
+                
+                const fields = node.name ? [node] : [];
+                fields.push(...node.querySelectorAll('[name]'));
+                
+                fields.forEach(field => {
+                    if (!addedFields.has(formData.id)) addedFields.set(formData.id, new Set());
+                    addedFields.get(formData.id).add(field.name);
+                });
+            });
+        });
+        
+        if (removed) this.unregisterDetachedForms();
+        
+        // Neu eingefügte oder gerade initialisierte Widgets; Struktur hat sich geändert
+        touched.forEach(formId => {
+            // Im selben Durchlauf entfernte Formulare sind schon abgemeldet
+            const formData = this.forms.get(formId);
+            if (!formData) return;
+            
+            formData.cachedState = null;
+            this.attachWidgetListeners(formId);
         });
+        
+        addedFields.forEach((names, formId) => this.restoreFields(formId, Array.from(names)));
     }
     
     /**
-     * File-Info anzeigen
+     * Nachträglich eingefügte Felder aus dem Draft befüllen
+     * Felder, die der Benutzer schon bearbeitet hat, bleiben unangetastet
      */
-    displayFileInfo(fileInput, fileInfos) {
-        let infoElement = fileInput.parentNode.querySelector('.restored-files-info');
+    async restoreFields(formId, names) {
+        const formData = this.forms.get(formId);
+        if (!formData || !this.options.autoRestore || this.options.restorePrompt) return;
         
-        if (!infoElement) {
-            infoElement = document.createElement('div');
-            infoElement.className = 'restored-files-info';
-            infoElement.style.cssText = `
-                margin-top: 8px;
-                padding: 8px 12px;
-                background: #f0f9ff;
-                border: 1px solid #bae6fd;
-                border-radius: 4px;
-                font-size: 14px;
-                color: #0369a1;
-            `;
-            fileInput.parentNode.appendChild(infoElement);
+        try {
+            // Abweichende Struktur verwirft hier nie den Draft, die Seite wurde schon wiederhergestellt
+            const restorable = await this.loadRestorableState(formData, { discard: false });
+            if (!restorable) return;
+            
+            const form = formData.element;
+            const state = restorable.state._rows ? this.remapRows(form, restorable.state) : restorable.state;
+            const unchecked = state._unchecked || [];
+            
+            this.applyWithoutTracking(formData, () => {
+                names.forEach(name => {
+                    if (formData.fieldTimestamps[name]) return;
+                    
+                    if (name in state) {
+                        this.restoreField(form, name, state[name]);
+                    } else if (unchecked.includes(name)) {
+                        form.querySelectorAll(`input[type="checkbox"][name="${name}"]`).forEach(checkbox => {
+                            checkbox.checked = false;
+                        });
+                    }
+                });
+            });
+            
+            if (this.options.debug) {
+                console.log(`🧩 Late fields restored for form: ${formId}`, names);
+            }
+            
+        } catch (error) {
+            this.reportError(formId, 'restoreFields', error, '❌ Error restoring added fields:');
         }
-        
-        infoElement.innerHTML = `
-            <strong>📎 Zuvor ausgewählte Dateien:</strong><br>
-            ${fileInfos.map(file => `• ${file.name} (${this.formatFileSize(file.size)})`).join('<br>')}
-            <br><small>Wählen Sie erneut aus, um zu ersetzen.</small>
-        `;
     }
     
     /**
-     * Dateigröße formatieren
+     * Läuft gerade eine Wiederherstellung durch den Manager?
      */
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    isApplying(formId) {
+        const formData = this.forms.get(formId);
+        return Boolean(formData && formData.applying);
     }
     
     /**
-     * Formular-State löschen
+     * Werte setzen, ohne dass die ausgelösten Events als Benutzereingabe zählen
+     */
+    applyWithoutTracking(formData, callback) {
+        formData.applying = true;
+        try {
+            callback();
+        } finally {
+            formData.applying = false;
+            // Werte wurden ohne Events gesetzt: beim nächsten Speichern alles neu lesen
+            formData.cachedState = null;
+        }
+    }
+    
+    /**
+     * Benutzereingabe mit Zeitstempel pro Feld merken (für Konflikt-Merge)
      */
-    clearFormState(formId) {
+    trackFieldChange(formId, name) {
         const formData = this.forms.get(formId);
         if (!formData) return;
         
+        const now = Date.now();
+        formData.lastChanged = now;
+        formData.completed = false;
+        formData.historyIndex = null;
+        if (name) formData.fieldTimestamps[name] = now;
+        formData.dirty.add(name || '*');
+    }
+    
+    /**
+     * Passende Events für Input-Typ bestimmen
+     */
+    getInputEvents(input) {
+        const type = input.type || input.tagName.toLowerCase();
+        
+        switch (type) {
+            case 'checkbox':
+            case 'radio':
+                return ['change'];
+            case 'select':
+            case 'select-one':
+            case 'select-multiple':
+                return ['change'];
+            case 'textarea':
+                return ['input', 'blur'];
+            case 'file':
+                return ['change'];
+            default:
+                return ['input', 'blur'];
+        }
+    }
+    
+    /**
+     * Formular-State speichern
+     */
+    async saveFormState(formId, { incremental = false } = {}) {
+        const formData = this.forms.get(formId);
+        
+        // Nach erfolgreichem Submit erst wieder nach neuer Eingabe speichern
+        if (!formData || formData.completed) return;
+        
+        // Restore-Hinweis offen: Draft nicht überschreiben, Änderungen bleiben vorgemerkt
+        if (formData.prompt) return;
+        
+        const started = this.now();
+        const form = formData.element;
+        const step = this.getFormStep(form);
+        
+        // Autosave liest nur die geänderten Felder neu, explizites Speichern alles
+        if (!incremental) formData.dirty.add('*');
+        let state = this.extractDirtyState(formData);
+        formData.step = step;
+        
+        // Abbrechbar, Listener dürfen detail.state anpassen
+        const before = this.emit('beforeSave', formId, { step, state });
+        if (!before) return;
+        
+        formData.saving = true;
+        
         try {
-            const storage = this.getStorage();
-            storage.removeItem(formData.storageKey);
+            state = await this.runHooks('save', before.state, { formId, step, form });
+            
+            // Andere Seiten des Drafts übernehmen, nur die aktuelle ersetzen
+            const existing = await this.readEntry(formData.storageKey);
+            const { entry, previous } = this.buildEntry(formData, step, state, existing);
+            
+            try {
+                await this.writeEntry(formData.storageKey, entry);
+            } catch (error) {
+                // Speicher voll: aufräumen, verdrängen, erneut versuchen
+                if (!this.isQuotaError(error)) throw error;
+                
+                const written = await this.recoverFromQuota(formData, () => this.writeEntry(formData.storageKey, entry));
+                if (!written) throw error;
+            }
+            
+            formData.lastSaved = Date.now();
+            this.recordSaveTiming(formData, started, incremental ? 'incremental' : null);
+            this.scheduleBudgetCheck();
+            
+            // Überschriebenen Stand in die Historie (nicht beim Zurückspringen per Undo)
+            if (previous && !formData.skipSnapshot) {
+                await this.recordSnapshot(formData, step, previous, state);
+            }
             
             if (this.options.debug) {
-                console.log(`🗑️ State cleared for form: ${formId}`);
+                console.log(`💾 State saved for form: ${formId} (step ${step})`, state);
+            }
+            
+            this.emit('afterSave', formId, { step, state });
+            this.broadcastChange(formData, step);
+            
+        } catch (error) {
+            this.reportError(formId, 'save', error, '❌ Error saving form state:');
+        } finally {
+            formData.saving = false;
+        }
+        
+        await this.saveFormFiles(formData);
+        this.scheduleRemoteSync(formData);
+    }
+    
+    /**
+     * Synchron speichern, solange die Seite noch da ist (pagehide/visibilitychange)
+     * Nur mit synchronem Storage (Web Storage, Memory), ohne Verschlüsselung und Save-Hooks.
+     * Mit encryption, Save-Hooks (addHook('save')) oder IndexedDB/eigenem asynchronen Adapter
+     * wird nur asynchron gespeichert: Der Browser kann die Seite vorher beenden, dann fehlen
+     * die Eingaben seit dem letzten Autosave (mit debug: Hinweis in der Konsole).
+     * Die Felder werden dabei immer komplett neu gelesen.
+     */
+    saveFormStateSync(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData || formData.completed || formData.prompt) return;
+        
+        const storage = this.getStorage();
+        if (!storage.sync || this.cipher || this.hooks.save.length > 0) {
+            if (this.options.debug) {
+                const reason = this.cipher ? 'encryption' : (this.hooks.save.length > 0 ? 'save hooks' : 'async storage');
+                console.warn(`⚠️ Async flush for form: ${formId} (${reason}), may not finish before the page is gone`);
+            }
+            
+            this.saveFormState(formId);
+            return;
+        }
+        
+        const started = this.now();
+        const step = this.getFormStep(formData.element);
+        formData.dirty.add('*');
+        
+        const before = this.emit('beforeSave', formId, { step, state: this.extractDirtyState(formData) });
+        if (!before) return;
+        
+        try {
+            const raw = storage.get(formData.storageKey);
+            const existing = raw && !raw.encrypted ? this.normalizeEntry(raw) : null;
+            const { entry, previous } = this.buildEntry(formData, step, before.state, existing);
+            
+            storage.set(formData.storageKey, entry);
+            formData.lastSaved = Date.now();
+            this.recordSaveTiming(formData, started, 'sync');
+            
+            if (previous && !formData.skipSnapshot) {
+                this.recordSnapshotSync(formData, step, previous, before.state);
             }
             
+            if (this.options.debug) {
+                console.log(`💾 State flushed for form: ${formId} (step ${step})`);
+            }
+            
+            this.emit('afterSave', formId, { step, state: before.state });
+            this.broadcastChange(formData, step);
+            
         } catch (error) {
-            console.error('❌ Error clearing form state:', error);
+            this.reportError(formId, 'save', error, '❌ Error saving form state:');
+        }
+    }
+    
+    /**
+     * Neuen Eintrag aus dem bestehenden bauen, nur die aktuelle Seite wird ersetzt
+     * Liefert { entry, previous } (previous = bisheriger Stand der Seite)
+     */
+    buildEntry(formData, step, state, existing) {
+        const steps = existing && !this.isExpired(existing) ? existing.steps : {};
+        const previous = steps[step];
+        
+        steps[step] = {
+            state: state,
+            timestamp: Date.now(),
+            fields: { ...formData.fieldTimestamps },
+            schema: this.getStepSchema(formData, step)
+        };
+        
+        if (existing && existing.resumeToken) {
+            formData.resumeToken = existing.resumeToken;
+        }
+        
+        const entry = {
+            steps: steps,
+            step: step,
+            timestamp: Date.now(),
+            url: window.location.href,
+            ttl: formData.ttl,
+            resumeToken: formData.resumeToken,
+            submittedAt: formData.submitPending,
+            submitReturnUrl: formData.submitPending ? formData.submitReturnUrl : null,
+            scope: this.getScope()
+        };
+        
+        return { entry, previous };
+    }
+    
+    /**
+     * State aus den geänderten Feldern aktualisieren ('*' = alles neu lesen)
+     * Unveränderte Felder kommen aus dem Cache der letzten Extraktion
+     */
+    extractDirtyState(formData) {
+        const dirty = formData.dirty;
+        formData.dirty = new Set();
+        formData.dirtySince = null;
+        clearTimeout(formData.saveTimer);
+        this.pendingSaves.delete(formData.id);
+        
+        if (!formData.cachedState || dirty.has('*')) {
+            formData.cachedState = this.extractFormState(formData.element);
+            return { ...formData.cachedState };
+        }
+        
+        const partial = this.extractFormState(formData.element, dirty);
+        const state = { ...formData.cachedState };
+        
+        dirty.forEach(name => delete state[name]);
+        ['_unchecked', '_masked'].forEach(list => {
+            const names = (state[list] || []).filter(name => !dirty.has(name)).concat(partial[list] || []);
+            if (names.length > 0) {
+                state[list] = names;
+            } else {
+                delete state[list];
+            }
+        });
+        
+        Object.entries(partial).forEach(([name, value]) => {
+            if (!name.startsWith('_')) state[name] = value;
+        });
+        
+        formData.cachedState = state;
+        return { ...state };
+    }
+    
+    /**
+     * Dauer eines Speichervorgangs für getDebugInfo() festhalten
+     */
+    recordSaveTiming(formData, started, kind) {
+        const duration = this.now() - started;
+        const timings = formData.timings;
+        
+        timings.saves++;
+        if (kind === 'incremental') timings.incrementalSaves++;
+        if (kind === 'sync') timings.syncSaves++;
+        timings.totalDuration += duration;
+        timings.lastDuration = duration;
+        timings.maxDuration = Math.max(timings.maxDuration, duration);
+    }
+    
+    /**
+     * Hochauflösender Zeitstempel (ms)
+     */
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+    
+    /**
+     * Formular-State extrahieren
+     */
+    extractFormState(form, names = null) {
+        const state = {};
+        
+        const masked = new Set();
+        const include = (name) => !names || names.has(name);
+        
+        // Standard Form-Inputs
+        const formData = new FormData(form);
+        for (let [key, value] of formData.entries()) {
+            if (!include(key) || this.options.pageFieldNames.includes(key)) continue;
+            
+            // Dateien werden separat als Blobs gespeichert (saveFormFiles)
+            if (typeof File !== 'undefined' && value instanceof File) continue;
+            
+            // Datenschutz-Regeln: ausgeschlossen oder nur als "ausgefüllt" gemerkt
+            const policy = this.getFieldPolicy(form, key, value);
+            if (policy !== 'persist') {
+                if (policy === 'mask' && value !== '') masked.add(key);
+                continue;
+            }
+            
+            if (state[key]) {
+                // Multiple values (Checkboxes/Multi-Select)
+                if (Array.isArray(state[key])) {
+                    state[key].push(value);
+                } else {
+                    state[key] = [state[key], value];
+                }
+            } else {
+                state[key] = value;
+            }
+        }
+        
+        // Checkbox States (auch unchecked)
+        form.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            const name = checkbox.name;
+            if (!include(name) || this.getFieldPolicy(form, name) !== 'persist') return;
+            
+            if (!checkbox.checked) {
+                // Unchecked Checkboxes tracken
+                if (!state._unchecked) state._unchecked = [];
+                state._unchecked.push(name);
+            }
+        });
+        
+        // Radio Button Groups
+        form.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+            const name = radio.name;
+            if (!include(name) || this.getFieldPolicy(form, name, radio.value) !== 'persist') return;
+            state[name] = radio.value;
+        });
+        
+        // Teil-Extraktion (nur geänderte Felder): Widgets und Zeilen kommen aus dem Cache
+        if (!names) {
+            // Custom Freeform Elements
+            state._custom = this.extractCustomElements(form);
+            
+            // Zeilen wiederholbarer Felder (Table-Felder, Repeater)
+            const rows = this.getFormRows(form);
+            if (Object.keys(rows).length > 0) {
+                state._rows = rows;
+            }
+        }
+        
+        if (masked.size > 0) {
+            state._masked = Array.from(masked);
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Datenschutz-Regel eines Feldes: 'persist', 'mask' oder 'exclude'
+     * Vorrang: data-freeform-state am Feld/Container/Formular, dann excludeFields/maskFields,
+     * dann automatische Erkennung sensibler Daten
+     */
+    getFieldPolicy(form, name, value) {
+        const element = form.querySelector(`[name="${name}"]`);
+        
+        const declared = element && element.closest('[data-freeform-state]');
+        if (declared && form.contains(declared)) {
+            const rule = declared.getAttribute('data-freeform-state');
+            if (rule === 'ignore' || rule === 'exclude') return 'exclude';
+            if (rule === 'mask' || rule === 'persist') return rule;
+        }
+        
+        if (this.matchesFieldRule(name, this.options.excludeFields)) return 'exclude';
+        if (this.matchesFieldRule(name, this.options.maskFields)) return 'mask';
+        
+        if (this.options.detectSensitive && this.isSensitiveField(element, name, value)) {
+            return this.options.sensitiveMode;
+        }
+        
+        return 'persist';
+    }
+    
+    /**
+     * Feldname oder Freeform-Handle (Name ohne [..]) gegen Namen, Globs oder RegExp prüfen
+     */
+    matchesFieldRule(name, rules) {
+        const handle = name.split('[')[0];
+        
+        return rules.some(rule => {
+            if (rule instanceof RegExp) {
+                return rule.test(name) || rule.test(handle);
+            }
+            
+            const pattern = new RegExp('^' + String(rule)
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*')
+                .replace(/\?/g, '.') + '$');
+            return pattern.test(name) || pattern.test(handle);
+        });
+    }
+    
+    /**
+     * Sensible Felder erkennen: Typ/autocomplete, Feldname oder Inhalt (Kartennummer, IBAN)
+     */
+    isSensitiveField(element, name, value) {
+        if (element) {
+            const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+            if (element.type === 'password') return true;
+            if (/(^|\s)(cc-|current-password|new-password|one-time-code)/.test(autocomplete)) return true;
+        }
+        
+        if (this.options.sensitiveNamePattern && this.options.sensitiveNamePattern.test(name)) return true;
+        
+        if (typeof value !== 'string') return false;
+        const compact = value.replace(/[\s-]/g, '').toUpperCase();
+        return this.isCardNumber(compact) || this.isIban(compact);
+    }
+    
+    /**
+     * Kartennummer: bekannte Präfixe (Visa, Mastercard, Amex, Discover) plus Luhn-Prüfsumme
+     */
+    isCardNumber(digits) {
+        if (!/^(4|5[1-5]|2[2-7]|3[47]|6(011|5))\d{11,17}$/.test(digits)) return false;
+        
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+    
+    /**
+     * IBAN: Format plus Prüfziffer (Modulo 97)
+     */
+    isIban(value) {
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+        
+        const rearranged = value.slice(4) + value.slice(0, 4);
+        let remainder = 0;
+        for (const char of rearranged) {
+            const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+            for (const digit of code) {
+                remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+            }
+        }
+        return remainder === 1;
+    }
+    
+    /**
+     * Widget-Zustände über die Adapter-Registry extrahieren (state._custom)
+     */
+    extractCustomElements(form) {
+        const custom = {};
+        
+        Object.values(FreeformStateManager.widgetAdapters).forEach(adapter => {
+            if (!adapter.serialize) return;
+            
+            form.querySelectorAll(adapter.selector).forEach(element => {
+                const name = this.getWidgetName(adapter, element);
+                if (!name) return;
+                
+                const value = adapter.serialize(element, this);
+                if (value === undefined) return;
+                
+                // Wert mitgeben, damit Kartennummern/IBANs auch in Widgets erkannt werden
+                const values = Array.isArray(value) ? value : [value];
+                if (values.some(item => this.getFieldPolicy(form, name, item) !== 'persist')) return;
+                
+                custom[name + (adapter.suffix || '')] = value;
+            });
+        });
+        
+        return custom;
+    }
+    
+    /**
+     * Datei-Uploads als Blobs im File-Storage speichern
+     */
+    async saveFormFiles(formData) {
+        if (!this.options.persistFiles) return;
+        
+        try {
+            const files = this.collectFormFiles(formData.element);
+            const signature = formData.step + ':' + this.getFileSignature(files);
+            
+            // Nur schreiben, wenn sich die Auswahl geändert hat
+            if (signature === formData.fileSignature) return;
+            
+            const storage = this.getFileStorage();
+            const fileKey = this.getFileKey(formData, formData.step);
+            
+            if (Object.keys(files).length === 0) {
+                await storage.remove(fileKey);
+            } else {
+                await storage.set(fileKey, await this.packFiles({
+                    files: files,
+                    timestamp: Date.now(),
+                    scope: this.getScope()
+                }));
+            }
+            
+            formData.fileSignature = signature;
+            
+            if (this.options.debug) {
+                console.log(`📎 Files saved for form: ${formData.storageKey}`, files);
+            }
+            
+        } catch (error) {
+            this.reportError(formData.id, 'saveFiles', error, '❌ Error saving form files:');
+        }
+    }
+    
+    /**
+     * Storage-Key der Dateien einer Formularseite
+     */
+    getFileKey(formData, step) {
+        return formData.storageKey + '_files' + (step ? `_${step}` : '');
+    }
+    
+    /**
+     * Ausgewählte Dateien unter Beachtung der Limits sammeln
+     */
+    collectFormFiles(form) {
+        const { maxFileSize, maxFiles, maxTotalFileSize } = this.options;
+        const files = {};
+        let count = 0;
+        let totalSize = 0;
+        
+        form.querySelectorAll('input[type="file"]').forEach(input => {
+            if (!input.name || this.getFieldPolicy(form, input.name) !== 'persist') return;
+            
+            Array.from(input.files || []).forEach(file => {
+                if (file.size > maxFileSize || count >= maxFiles || totalSize + file.size > maxTotalFileSize) {
+                    if (this.options.debug) {
+                        console.log(`⚠️ File skipped (limit reached): ${file.name}`);
+                    }
+                    return;
+                }
+                
+                if (!files[input.name]) files[input.name] = [];
+                files[input.name].push({
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    lastModified: file.lastModified,
+                    blob: file
+                });
+                
+                count++;
+                totalSize += file.size;
+            });
+        });
+        
+        return files;
+    }
+    
+    /**
+     * Signatur einer Dateiauswahl (ohne Blobs) zum Erkennen von Änderungen
+     */
+    getFileSignature(files) {
+        return JSON.stringify(Object.entries(files).map(([name, list]) => [
+            name,
+            list.map(file => `${file.name}:${file.size}:${file.lastModified}`)
+        ]));
+    }
+    
+    /**
+     * Gespeicherte Dateien wieder an die File-Inputs hängen
+     */
+    async restoreFormFiles(formData) {
+        if (!this.options.persistFiles || typeof DataTransfer === 'undefined') return;
+        
+        try {
+            const fileKey = this.getFileKey(formData, formData.step);
+            const storage = this.getFileStorage();
+            const raw = await storage.get(fileKey);
+            const saved = await this.unpackFiles(raw);
+            
+            if (saved === false) {
+                // Nicht entschlüsselbar: verwerfen statt Fehler werfen (Einträge fremder Schlüssel bleiben)
+                if (await this.isOwnCiphertext(this.getFilesCiphertext(raw))) await storage.remove(fileKey);
+                return;
+            }
+            if (!saved || !saved.files) return;
+            
+            const form = formData.element;
+            
+            Object.entries(saved.files).forEach(([name, list]) => {
+                const input = form.querySelector(`input[type="file"][name="${name}"]`);
+                if (!input) return;
+                
+                const transfer = new DataTransfer();
+                list.forEach(file => {
+                    transfer.items.add(new File([file.blob], file.name, {
+                        type: file.type,
+                        lastModified: file.lastModified
+                    }));
+                });
+                input.files = transfer.files;
+                
+                // Wie eine echte Auswahl melden, damit Uploader und Validierung reagieren
+                this.applyWithoutTracking(formData, () => {
+                    input.dispatchEvent(new Event('input', { bubbles: true }));
+                    input.dispatchEvent(new Event('change', { bubbles: true }));
+                });
+            });
+            
+            formData.fileSignature = formData.step + ':' + this.getFileSignature(this.collectFormFiles(form));
+            
+            if (this.options.debug) {
+                console.log(`📎 Files restored for form: ${formData.storageKey}`);
+            }
+            
+        } catch (error) {
+            this.reportError(formData.id, 'restoreFiles', error, '❌ Error restoring form files:');
+        }
+    }
+    
+    /**
+     * Formular-State wiederherstellen
+     * restorable = bereits geladener State (Restore-Hinweis), sonst aus dem Storage
+     */
+    async restoreFormState(formId, restorable = null) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        try {
+            restorable = restorable || await this.loadRestorableState(formData);
+            if (!restorable) return;
+            
+            const { entry: savedData, step, state, serverValues } = restorable;
+            const form = formData.element;
+            formData.step = step;
+            
+            // Abbrechbar, Listener dürfen detail.state anpassen
+            // serverValues = Felder, deren gerenderter Wert erhalten bleibt (mergeStrategy)
+            const before = this.emit('beforeRestore', formId, {
+                step,
+                state,
+                serverValues,
+                timestamp: savedData.timestamp,
+                url: savedData.url
+            });
+            if (!before) return;
+            
+            // Dateien zuerst, damit die Datei-Info nur als Fallback erscheint
+            await this.restoreFormFiles(formData);
+            this.applyWithoutTracking(formData, () => this.applyFormState(form, before.state));
+            formData.lastSynced = Date.now();
+            await this.touchEntry(formData.storageKey);
+            
+            if (this.options.debug) {
+                console.log(`🔄 State restored for form: ${formId} (step ${step})`, before.state);
+            }
+            
+            this.emit('afterRestore', formId, { step, state: before.state }, false);
+            
+        } catch (error) {
+            this.reportError(formId, 'restore', error, '❌ Error restoring form state:');
+        }
+    }
+    
+    /**
+     * Gespeicherten State der aktuellen Seite laden und für das Formular vorbereiten:
+     * Ablauf prüfen, Schema abgleichen/migrieren, Restore-Hooks anwenden
+     * Liefert { entry, step, state } oder null
+     * discard: false → bei schemaMismatch 'discard' nur nichts wiederherstellen, Draft bleibt
+     */
+    async loadRestorableState(formData, { discard = true } = {}) {
+        const formId = formData.id;
+        const entry = await this.readEntry(formData.storageKey);
+        if (!entry) return null;
+        
+        if (this.isExpired(entry)) {
+            this.emit('expired', formId, { timestamp: entry.timestamp }, false);
+            await this.clearFormState(formId);
+            return null;
+        }
+        
+        // Nur die Seite wiederherstellen, die gerade angezeigt wird
+        const form = formData.element;
+        const step = this.getFormStep(form);
+        const stepData = entry.steps[step];
+        if (!stepData) return null;
+        
+        let state = stepData.state;
+        
+        if (stepData.schema) {
+            state = await this.reconcileSchema(formData, step, state, stepData.schema, discard);
+            if (!state) return null;
+        }
+        
+        state = await this.runHooks('restore', state, { formId, step, form });
+        
+        const merged = this.mergeServerValues(form, state);
+        return { entry, step, state: merged.state, serverValues: merged.kept };
+    }
+    
+    /**
+     * Vom Server gerenderte Werte gegen den Draft abwägen
+     * Liefert den State ohne die Felder, deren Server-Wert bleibt, und deren Namen
+     */
+    mergeServerValues(form, state) {
+        // Nach Validierungsfehler hat Freeform die abgeschickten Werte wieder eingesetzt
+        const reloaded = Boolean(form.querySelector(this.options.submitErrorSelector));
+        const result = { ...state };
+        const kept = [];
+        
+        Object.keys(state).forEach(name => {
+            if (name.startsWith('_') || !this.keepsServerValue(form, name, reloaded)) return;
+            
+            delete result[name];
+            kept.push(name);
+        });
+        
+        if (state._unchecked) {
+            result._unchecked = state._unchecked.filter(name => {
+                if (!this.keepsServerValue(form, name, reloaded)) return true;
+                
+                kept.push(name);
+                return false;
+            });
+        }
+        
+        return { state: result, kept };
+    }
+    
+    /**
+     * Bleibt der Server-Wert eines Feldes erhalten?
+     * Vorrang: Validierungsfehler am Feld (immer Server), data-freeform-state-merge am
+     * Feld/Container/Formular, dann mergeStrategy; mit der Standard-Strategie werden
+     * Hidden-Felder und Reloads nach Fehlern nur aufgefüllt
+     */
+    keepsServerValue(form, name, reloaded) {
+        // Hidden-Begleitfeld einer Checkbox ist nicht das eigentliche Feld
+        const elements = Array.from(form.querySelectorAll(`[name="${name}"]`));
+        const element = elements.find(candidate => candidate.type !== 'hidden') || elements[0];
+        if (!element) return false;
+        
+        let strategy;
+        const declared = element.closest('[data-freeform-state-merge]');
+        
+        if (this.hasFieldError(form, name)) {
+            strategy = 'server-wins';
+        } else if (declared && form.contains(declared)) {
+            strategy = declared.getAttribute('data-freeform-state-merge');
+        } else if (typeof this.options.mergeStrategy === 'function') {
+            strategy = this.options.mergeStrategy(name, element, form);
+        } else if (this.options.mergeStrategy === 'draft-wins' && (reloaded || element.type === 'hidden')) {
+            strategy = 'only-fill-empty';
+        } else {
+            strategy = this.options.mergeStrategy;
+        }
+        
+        if (strategy === 'server-wins') return true;
+        if (strategy === 'only-fill-empty') return this.hasServerValue(form, name);
+        return false;
+    }
+    
+    /**
+     * Hat der Server einen Wert gerendert? (Default-Werte, nicht der aktuelle Zustand)
+     * Hidden-Begleitfelder von Checkboxen zählen nicht
+     */
+    hasServerValue(form, name) {
+        const elements = Array.from(form.querySelectorAll(`[name="${name}"]`));
+        const visible = elements.filter(element => element.type !== 'hidden');
+        
+        return (visible.length > 0 ? visible : elements).some(element => {
+            const type = element.type || element.tagName.toLowerCase();
+            
+            if (type === 'checkbox' || type === 'radio') return element.defaultChecked;
+            if (type === 'file') return false;
+            if (element.options) {
+                return Array.from(element.options).some(option => option.defaultSelected && option.value !== '');
+            }
+            return element.defaultValue !== '';
+        });
+    }
+    
+    /**
+     * Wurde das Feld mit Validierungsfehler gerendert?
+     */
+    hasFieldError(form, name) {
+        return Array.from(form.querySelectorAll(`[name="${name}"]`)).some(element => {
+            if (element.matches(this.options.fieldErrorSelector)) return true;
+            
+            const container = element.closest(this.options.fieldContainerSelector);
+            return Boolean(container && form.contains(container) &&
+                container.querySelector(this.options.submitErrorSelector));
+        });
+    }
+    
+    /**
+     * Struktur eines Formulars: Feldnamen, Typen und Optionswerte plus Fingerprint
+     * Der Fingerprint umfasst nur Namen und Typen; Optionen werden oft dynamisch
+     * befüllt und beim Abgleich einzeln geprüft (filterCompatibleState)
+     */
+    getFormSchema(form) {
+        const fields = {};
+        
+        form.querySelectorAll('[name]').forEach(element => {
+            const name = element.name;
+            if (!name || !('value' in element)) return;
+            if (this.options.pageFieldNames.includes(name) || this.getFieldPolicy(form, name) === 'exclude') return;
+            
+            const type = element.type || element.tagName.toLowerCase();
+            if (type === 'submit' || type === 'button' || type === 'reset') return;
+            
+            // Zeilen wiederholbarer Felder zählen nicht zur Struktur (siehe _rows)
+            const key = this.getRowFieldName(name);
+            const field = fields[key] || (fields[key] = { type });
+            
+            // Hidden-Felder neben Checkboxen (Freeform-Default) bestimmen nicht den Typ
+            if (field.type === 'hidden' && type !== 'hidden') field.type = type;
+            
+            if (type === 'radio' || type === 'checkbox') {
+                field.options = (field.options || []).concat(element.value);
+            } else if (element.options) {
+                field.options = Array.from(element.options).map(option => option.value);
+            }
+        });
+        
+        const sorted = Object.keys(fields).sort().map(name => [name, fields[name].type]);
+        return {
+            fingerprint: this.hashString(JSON.stringify(sorted)),
+            fields
+        };
+    }
+    
+    /**
+     * Struktur der Seite, wie sie bei Registrierung bzw. erstem Besuch aussah
+     * Später eingefügte Felder (bedingte Felder, Widgets) ändern den Fingerprint nicht
+     */
+    getStepSchema(formData, step) {
+        if (!formData.schemas[step]) formData.schemas[step] = this.getFormSchema(formData.element);
+        return formData.schemas[step];
+    }
+    
+    /**
+     * Zeilen-Index aus einem Feldnamen entfernen: table[3][col] → table[][col]
+     */
+    getRowFieldName(name) {
+        return name.replace(/^([^[\]]+)\[\d+\]/, '$1[]');
+    }
+    
+    /**
+     * Vorhandene Zeilen wiederholbarer Felder: { handle: [Zeilen-Indizes, aufsteigend] }
+     */
+    getFormRows(form) {
+        const rows = {};
+        
+        form.querySelectorAll('[name]').forEach(element => {
+            const match = /^([^[\]]+)\[(\d+)\]/.exec(element.name);
+            if (!match) return;
+            
+            const list = rows[match[1]] || (rows[match[1]] = []);
+            const index = parseInt(match[2], 10);
+            if (!list.includes(index)) list.push(index);
+        });
+        
+        Object.values(rows).forEach(list => list.sort((a, b) => a - b));
+        return rows;
+    }
+    
+    /**
+     * Zeilen ergänzen, bis die gespeicherte Anzahl erreicht ist
+     * Über rowFactories oder das "Zeile hinzufügen"-Control des Feldes
+     */
+    addMissingRows(form, savedRows) {
+        const currentRows = this.getFormRows(form);
+        
+        Object.entries(savedRows).forEach(([handle, saved]) => {
+            const existing = (currentRows[handle] || []).length;
+            if (existing >= saved.length) return;
+            
+            const factory = this.options.rowFactories[handle];
+            const control = factory ? null : this.findAddRowControl(form, handle);
+            
+            if (!factory && !control) {
+                if (this.options.debug) {
+                    console.log(`⚠️ No add-row control for: ${handle}, ${saved.length - existing} rows not restored`);
+                }
+                return;
+            }
+            
+            for (let index = existing; index < saved.length; index++) {
+                if (factory) {
+                    factory(form, handle, index);
+                } else {
+                    control.click();
+                }
+            }
+        });
+    }
+    
+    /**
+     * "Zeile hinzufügen"-Control eines Feldes finden:
+     * data-freeform-state-rows="handle", sonst das nächste Control um die vorhandenen Zeilen
+     */
+    findAddRowControl(form, handle) {
+        const explicit = form.querySelector(`[data-freeform-state-rows="${handle}"]`);
+        if (explicit) return explicit;
+        
+        const field = form.querySelector(`[name^="${handle}["]`);
+        let container = field ? field.parentElement : null;
+        
+        while (container && container !== form) {
+            const control = container.querySelector(this.options.rowAddSelector);
+            if (control) return control;
+            container = container.parentElement;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Gespeicherte Zeilen der Reihe nach auf die vorhandenen Zeilen verteilen
+     * (Indizes können nach dem Löschen von Zeilen Lücken haben)
+     * Zeilen ohne Gegenstück im DOM fallen weg
+     */
+    remapRows(form, state) {
+        const currentRows = this.getFormRows(form);
+        const mapping = {};
+        
+        Object.entries(state._rows).forEach(([handle, saved]) => {
+            const current = currentRows[handle] || [];
+            saved.forEach((index, position) => {
+                if (position < current.length) {
+                    mapping[`${handle}[${index}]`] = `${handle}[${current[position]}]`;
+                }
+            });
+        });
+        
+        const remap = (name) => {
+            const match = /^(([^[\]]+)\[\d+\])(.*)$/.exec(name);
+            if (!match || !state._rows[match[2]]) return name;
+            
+            return match[1] in mapping ? mapping[match[1]] + match[3] : null;
+        };
+        
+        const result = {};
+        Object.entries(state).forEach(([name, value]) => {
+            const target = name.startsWith('_') ? name : remap(name);
+            if (target) result[target] = value;
+        });
+        
+        ['_unchecked', '_masked'].forEach(list => {
+            if (result[list]) result[list] = result[list].map(remap).filter(Boolean);
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Kurzer, stabiler Hash (FNV-1a, 32 Bit)
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+    
+    /**
+     * Gespeicherten State mit der aktuellen Formularstruktur abgleichen
+     * Je nach schemaMismatch: kompatible Felder behalten, Migrationen ausführen oder verwerfen
+     * Liefert den (bereinigten) State oder null, wenn der Draft verworfen wurde
+     * discard: false → Draft bei 'discard' behalten, nur nichts wiederherstellen
+     */
+    async reconcileSchema(formData, step, state, savedSchema, discard = true) {
+        const formId = formData.id;
+        const stepSchema = this.getStepSchema(formData, step);
+        
+        if (savedSchema.fingerprint === stepSchema.fingerprint) {
+            formData.schemaReport = null;
+            return state;
+        }
+        
+        // Gefiltert wird gegen das aktuelle Formular, damit nachträglich eingefügte Felder nicht als entfernt gelten
+        const currentSchema = this.getFormSchema(formData.element);
+        
+        const policy = this.options.schemaMismatch;
+        let result = state;
+        
+        if (policy === 'migrate') {
+            const migrations = (this.migrations.get('*') || []).concat(this.migrations.get(formId) || []);
+            for (const migration of migrations) {
+                const migrated = await migration(result, { formId, step, from: savedSchema, to: currentSchema });
+                if (migrated !== undefined) result = migrated;
+            }
+        }
+        
+        const { state: compatible, report } = policy === 'discard' ?
+            { state: null, report: this.compareSchemas(result, savedSchema, currentSchema) } :
+            this.filterCompatibleState(result, savedSchema, currentSchema);
+        
+        formData.schemaReport = {
+            step,
+            policy,
+            savedFingerprint: savedSchema.fingerprint,
+            currentFingerprint: stepSchema.fingerprint,
+            ...report
+        };
+        
+        if (this.options.debug) {
+            console.log(`🧬 Form structure changed: ${formId}`, formData.schemaReport);
+        }
+        
+        this.emit('schemaMismatch', formId, { report: formData.schemaReport }, false);
+        
+        if (policy === 'discard') {
+            if (discard) await this.clearStep(formId, step);
+            return null;
+        }
+        
+        return compatible;
+    }
+    
+    /**
+     * Nur Werte behalten, die zur aktuellen Struktur passen
+     */
+    filterCompatibleState(state, savedSchema, currentSchema) {
+        const report = this.compareSchemas(state, savedSchema, currentSchema);
+        const filtered = {};
+        
+        Object.entries(state).forEach(([name, value]) => {
+            if (name.startsWith('_')) {
+                filtered[name] = value;
+                return;
+            }
+            if (report.removedFields.includes(name) || report.changedFields.includes(name)) return;
+            
+            const options = currentSchema.fields[this.getRowFieldName(name)].options;
+            if (!options) {
+                filtered[name] = value;
+            } else if (Array.isArray(value)) {
+                const valid = value.filter(item => options.includes(item));
+                if (valid.length > 0) filtered[name] = valid;
+            } else if (options.includes(value)) {
+                filtered[name] = value;
+            }
+        });
+        
+        if (filtered._unchecked) {
+            filtered._unchecked = filtered._unchecked.filter(name => currentSchema.fields[this.getRowFieldName(name)]);
+        }
+        
+        return { state: filtered, report };
+    }
+    
+    /**
+     * Unterschiede zwischen gespeichertem State/Schema und aktuellem Formular
+     */
+    compareSchemas(state, savedSchema, currentSchema) {
+        const report = { removedFields: [], changedFields: [], invalidValues: [] };
+        
+        Object.entries(state).forEach(([name, value]) => {
+            if (name.startsWith('_')) return;
+            
+            const current = currentSchema.fields[this.getRowFieldName(name)];
+            const saved = savedSchema.fields[this.getRowFieldName(name)];
+            
+            if (!current) {
+                report.removedFields.push(name);
+            } else if (saved && saved.type !== current.type) {
+                report.changedFields.push(name);
+            } else if (current.options) {
+                [].concat(value).forEach(item => {
+                    if (!current.options.includes(item)) report.invalidValues.push({ name, value: item });
+                });
+            }
+        });
+        
+        return report;
+    }
+    
+    /**
+     * State-Alter prüfen (TTL aus dem Eintrag, sonst global)
+     */
+    isExpired(entry) {
+        const maxAge = entry.ttl || this.options.ttl;
+        return Date.now() - entry.timestamp > maxAge;
+    }
+    
+    /**
+     * Speicher-Quota erschöpft? (Browser melden das unterschiedlich)
+     */
+    isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+    
+    /**
+     * Draft inkl. aller Datei-Einträge entfernen (auch für nicht registrierte Formulare)
+     */
+    async removeDraft(storageKey) {
+        await this.getStorage().remove(storageKey);
+        await this.getStorage().remove(storageKey + '_history');
+        
+        if (this.options.persistFiles) {
+            const fileStorage = this.getFileStorage();
+            const fileKeys = await fileStorage.list(storageKey + '_files');
+            await Promise.all(fileKeys.map(key => fileStorage.remove(key)));
+        }
+    }
+    
+    /**
+     * Draft im Format dieses Managers (Klartext oder verschlüsselt, mit Zeitstempel)?
+     * Andere Einträge mit gleichem Präfix fassen Aufräumen und Verdrängung nicht an
+     */
+    isDraftEntry(key, raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw) || key.endsWith('_history')) return false;
+        if (typeof raw.timestamp !== 'number') return false;
+        
+        return Boolean(raw.encrypted || raw.steps || 'state' in raw);
+    }
+    
+    /**
+     * Historie im Format dieses Managers (siehe recordSnapshot)?
+     */
+    isHistoryEntry(key, raw) {
+        if (!raw || typeof raw !== 'object' || !key.endsWith('_history')) return false;
+        
+        return Array.isArray(raw.snapshots) || Boolean(raw.encrypted);
+    }
+    
+    /**
+     * Abgelaufene und verwaiste Drafts, Historien und Dateien aller Formulare entfernen
+     * Nur Einträge im eigenen Format; unlesbare oder fremde Einträge bleiben liegen
+     */
+    async sweepStorage() {
+        const prefix = this.options.storagePrefix;
+        const storage = this.getStorage();
+        const removed = [];
+        
+        try {
+            const keys = await storage.list(prefix);
+            const remaining = new Set();
+            const histories = [];
+            
+            for (const key of keys) {
+                // Unlesbar: Herkunft unklar, bleibt liegen
+                const raw = await this.readRaw(storage, key);
+                
+                // Fremde Einträge und solche anderer Instanzen (andere scope) bleiben unberührt
+                if (this.isHistoryEntry(key, raw)) {
+                    if (this.ownsEntry(raw)) histories.push(key);
+                    continue;
+                }
+                if (!this.isDraftEntry(key, raw) || !this.ownsEntry(raw)) {
+                    remaining.add(key);
+                    continue;
+                }
+                
+                // Zufällige Fallback-IDs älterer Versionen sind nie wieder zuordenbar
+                const unreachable = /^freeform_\d{13}_[a-z0-9]+/.test(key.slice(prefix.length));
+                
+                if (unreachable || this.isExpired(raw)) {
+                    await this.removeDraft(key);
+                    removed.push(key);
+                } else {
+                    remaining.add(key);
+                }
+            }
+            
+            // Historie ohne zugehörigen Draft
+            for (const key of histories) {
+                if (!remaining.has(key.slice(0, -'_history'.length))) {
+                    await storage.remove(key);
+                    removed.push(key);
+                }
+            }
+            
+            // Datei-Einträge ohne zugehörigen Draft
+            if (this.options.persistFiles) {
+                const fileStorage = this.getFileStorage();
+                for (const key of await fileStorage.list(prefix)) {
+                    if (!/_files(_\d+)?$/.test(key) || remaining.has(key.replace(/_files(_\d+)?$/, ''))) continue;
+                    
+                    const saved = await fileStorage.get(key);
+                    if (!saved || !saved.files || !this.ownsEntry(saved)) continue;
+                    
+                    await fileStorage.remove(key);
+                    removed.push(key);
+                }
+            }
+            
+            if (removed.length > 0) {
+                if (this.options.debug) {
+                    console.log(`🧹 Storage swept, ${removed.length} entries removed`, removed);
+                }
+                this.emit('swept', null, { removed }, false);
+            }
+            
+        } catch (error) {
+            this.reportError(null, 'sweep', error, '❌ Error sweeping storage:');
+        }
+        
+        return removed;
+    }
+    
+    /**
+     * Größe und letzte Nutzung aller Drafts ermitteln (Zeichen bzw. Bytes bei Dateien)
+     */
+    async measureDrafts() {
+        const storage = this.getStorage();
+        const drafts = [];
+        
+        for (const key of await storage.list(this.options.storagePrefix)) {
+            const raw = await this.readRaw(storage, key);
+            if (!this.isDraftEntry(key, raw) || !this.ownsEntry(raw)) continue;
+            
+            let size = key.length + JSON.stringify(raw).length;
+            
+            // Historie wird mit dem Draft entfernt und zählt daher zu ihm
+            const history = await this.readRaw(storage, key + '_history');
+            if (history) size += key.length + JSON.stringify(history).length;
+            
+            if (this.options.persistFiles) {
+                const fileStorage = this.getFileStorage();
+                for (const fileKey of await fileStorage.list(key + '_files')) {
+                    const saved = await fileStorage.get(fileKey);
+                    Object.values((saved && saved.files) || {}).forEach(list => {
+                        list.forEach(file => {
+                            size += file.size || 0;
+                        });
+                    });
+                }
+            }
+            
+            drafts.push({ key, size, lastUsed: raw.lastAccess || raw.timestamp || 0 });
+        }
+        
+        return drafts;
+    }
+    
+    /**
+     * Budget-Prüfung nach dem Speichern gebündelt anstoßen
+     */
+    scheduleBudgetCheck() {
+        if (!this.options.maxStorageSize) return;
+        
+        clearTimeout(this.budgetTimer);
+        this.budgetTimer = setTimeout(() => this.enforceStorageBudget(), 1000);
+    }
+    
+    /**
+     * Älteste Drafts verdrängen, bis maxStorageSize eingehalten wird
+     * Formulare der aktuellen Seite bleiben verschont
+     */
+    async enforceStorageBudget() {
+        const budget = this.options.maxStorageSize;
+        if (!budget) return;
+        
+        try {
+            const drafts = await this.measureDrafts();
+            let total = drafts.reduce((sum, draft) => sum + draft.size, 0);
+            if (total <= budget) return;
+            
+            const activeKeys = new Set(Array.from(this.forms.values()).map(data => data.storageKey));
+            const candidates = drafts
+                .filter(draft => !activeKeys.has(draft.key))
+                .sort((a, b) => a.lastUsed - b.lastUsed);
+            
+            for (const draft of candidates) {
+                if (total <= budget) break;
+                
+                await this.removeDraft(draft.key);
+                total -= draft.size;
+                this.emit('evicted', null, { storageKey: draft.key, reason: 'budget' }, false);
+            }
+            
+        } catch (error) {
+            this.reportError(null, 'budget', error, '❌ Error enforcing storage budget:');
+        }
+    }
+    
+    /**
+     * Wiederherstellung bei QuotaExceededError
+     * 1. Abgelaufenes entfernen, 2. älteste andere Drafts verdrängen – nach jedem Schritt erneut schreiben
+     * Liefert true, sobald das Schreiben gelingt; sonst "quotaExceeded"-Event
+     */
+    async recoverFromQuota(formData, retry) {
+        const attempt = async () => {
+            try {
+                await retry();
+                return true;
+            } catch (error) {
+                if (!this.isQuotaError(error)) throw error;
+                return false;
+            }
+        };
+        
+        await this.sweepStorage();
+        if (await attempt()) return true;
+        
+        const candidates = (await this.measureDrafts())
+            .filter(draft => draft.key !== formData.storageKey)
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+        
+        for (const draft of candidates) {
+            await this.removeDraft(draft.key);
+            this.emit('evicted', formData.id, { storageKey: draft.key, reason: 'quota' }, false);
+            
+            if (await attempt()) return true;
+        }
+        
+        this.emit('quotaExceeded', formData.id, { storageKey: formData.storageKey }, false);
+        return false;
+    }
+    
+    /**
+     * Letzte Nutzung vermerken (für LRU), ohne den Inhalt neu zu verschlüsseln
+     */
+    async touchEntry(storageKey) {
+        await this.updateEntryMeta(storageKey, { lastAccess: Date.now() });
+    }
+    
+    /**
+     * Lesbare Meta-Felder eines Eintrags ändern (ohne Neu-Verschlüsselung)
+     */
+    async updateEntryMeta(storageKey, meta) {
+        const storage = this.getStorage();
+        const raw = await storage.get(storageKey);
+        if (raw) {
+            await storage.set(storageKey, { ...raw, ...meta });
+        }
+    }
+    
+    /**
+     * Eintrag (ggf. verschlüsselt) schreiben
+     */
+    async writeEntry(storageKey, entry) {
+        await this.getStorage().set(storageKey, await this.packEntry(entry));
+    }
+    
+    /**
+     * Rohen Eintrag lesen, beim Durchsuchen des Präfixes; unlesbare Werte liefern null
+     */
+    async readRaw(storage, key) {
+        try {
+            return await storage.get(key);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Eintrag lesen und ggf. entschlüsseln
+     * Unlesbare oder nicht entschlüsselbare Einträge unter dem eigenen Key werden still verworfen
+     */
+    async readEntry(storageKey) {
+        const storage = this.getStorage();
+        let entry = null;
+        
+        try {
+            const saved = await storage.get(storageKey);
+            if (!saved) return null;
+            
+            entry = await this.unpackEntry(saved);
+            
+            // Mit einem anderen Schlüssel verschlüsselt (Pro-Session-Schlüssel eines anderen Tabs,
+            // Browser-Neustart): liegen lassen, gelöscht wird nur, was der eigene Schlüssel nicht öffnet
+            if (!entry && saved.encrypted && !(await this.isOwnCiphertext(saved.encrypted))) return null;
+        } catch (error) {
+            // Kaputtes JSON, wird wie ein nicht entschlüsselbarer Eintrag verworfen
+        }
+        
+        if (!entry) {
+            await storage.remove(storageKey);
+            
+            if (this.options.debug) {
+                console.log(`🔐 Unreadable state discarded: ${storageKey}`);
+            }
+            return null;
+        }
+        
+        return this.normalizeEntry(entry);
+    }
+    
+    /**
+     * Einträge ohne Seiten (ältere Version) als Seite 0 behandeln
+     */
+    normalizeEntry(entry) {
+        if (!entry.steps) {
+            const { state, ...meta } = entry;
+            return {
+                ...meta,
+                steps: { 0: { state: state || {}, timestamp: entry.timestamp } },
+                step: 0
+            };
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Inhalt verschlüsseln (timestamp/url bleiben lesbar für Ablaufprüfungen)
+     */
+    async packEntry(entry) {
+        if (!this.cipher) return entry;
+        
+        const { timestamp, url, ttl, lastAccess, submittedAt, submitReturnUrl, scope, ...payload } = entry;
+        return {
+            timestamp,
+            url,
+            ttl,
+            lastAccess,
+            submittedAt,
+            submitReturnUrl,
+            scope,
+            encrypted: await this.cipher.encrypt(payload)
+        };
+    }
+    
+    /**
+     * Mit dem aktuellen Schlüssel verschlüsselt? Nur dann ist ein nicht lesbarer Inhalt kaputt
+     * und darf gelöscht werden
+     */
+    async isOwnCiphertext(payload) {
+        if (!this.cipher) return false;
+        
+        try {
+            return await this.cipher.isOwnPayload(payload);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Verschlüsselter Inhalt eines Datei-Eintrags (erste Datei genügt für die Schlüssel-Kennung)
+     */
+    getFilesCiphertext(saved) {
+        const files = [].concat(...Object.values((saved && saved.files) || {}));
+        const encrypted = files.find(file => file && file.encrypted);
+        return encrypted ? encrypted.encrypted : null;
+    }
+    
+    /**
+     * Gegenstück zu packEntry(), liefert null wenn nicht lesbar
+     */
+    async unpackEntry(saved) {
+        if (!saved.encrypted) {
+            // Klartext-Eintrag (z.B. von vor der Aktivierung)
+            return saved;
+        }
+        if (!this.cipher) return null;
+        
+        try {
+            const { encrypted, ...meta } = saved;
+            return {
+                ...meta,
+                ...(await this.cipher.decrypt(encrypted))
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Datei-Blobs verschlüsseln
+     */
+    async packFiles(entry) {
+        if (!this.cipher || !entry || !entry.files) return entry;
+        
+        // Einträge ohne Blob (nur Metadaten) unverändert übernehmen
+        const files = {};
+        for (const [name, list] of Object.entries(entry.files)) {
+            files[name] = await Promise.all(list.map(async ({ blob, ...file }) => blob instanceof Blob ? {
+                ...file,
+                encrypted: await this.cipher.encryptBytes(await blob.arrayBuffer())
+            } : file));
+        }
+        
+        return { ...entry, files };
+    }
+    
+    /**
+     * Gegenstück zu packFiles(), liefert false wenn nicht entschlüsselbar
+     */
+    async unpackFiles(saved) {
+        if (!saved || !saved.files) return saved;
+        
+        const files = {};
+        try {
+            for (const [name, list] of Object.entries(saved.files)) {
+                files[name] = await Promise.all(list.map(async ({ encrypted, ...file }) => {
+                    if (!encrypted) return file;
+                    if (!this.cipher) throw new Error('No encryption key');
+                    
+                    const bytes = await this.cipher.decryptBytes(encrypted);
+                    return { ...file, blob: new Blob([bytes], { type: file.type }) };
+                }));
+            }
+        } catch (error) {
+            return false;
+        }
+        
+        return { ...saved, files };
+    }
+    
+    /**
+     * Schlüssel wechseln und alle gespeicherten Drafts (samt Historie und Dateien) neu verschlüsseln
+     * Ohne newKey wird ein neuer Session-Schlüssel erzeugt
+     */
+    async rotateEncryptionKey(newKey) {
+        if (!this.cipher) {
+            throw new Error('Encryption is not enabled');
+        }
+        
+        const prefix = this.options.storagePrefix;
+        const storage = this.getStorage();
+        const entries = new Map();
+        const fileEntries = new Map();
+        
+        // Mit altem Schlüssel entschlüsseln; die Historie hat kein Draft-Format und
+        // wird ohne normalizeEntry() übernommen, andere Einträge bleiben unberührt
+        for (const key of await storage.list(prefix)) {
+            const raw = await this.readRaw(storage, key);
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) continue;
+            
+            if (key.endsWith('_history')) {
+                const history = await this.unpackEntry(raw);
+                if (history && history.snapshots) entries.set(key, history);
+                continue;
+            }
+            
+            if (!raw.encrypted && !raw.steps && !('state' in raw)) continue;
+            
+            const entry = await this.readEntry(key);
+            if (entry) entries.set(key, entry);
+        }
+        
+        if (this.options.persistFiles) {
+            const fileStorage = this.getFileStorage();
+            for (const key of await fileStorage.list(prefix)) {
+                const raw = await fileStorage.get(key);
+                
+                // Teilt sich der File-Storage den Speicher mit den Drafts, nur Datei-Einträge anfassen
+                if (!raw || !raw.files) continue;
+                
+                const files = await this.unpackFiles(raw);
+                if (files) {
+                    fileEntries.set(key, files);
+                } else if (await this.isOwnCiphertext(this.getFilesCiphertext(raw))) {
+                    await fileStorage.remove(key);
+                }
+            }
+        }
+        
+        this.cipher.setKey(newKey);
+        
+        // Mit neuem Schlüssel wieder schreiben
+        for (const [key, entry] of entries) {
+            await this.writeEntry(key, entry);
+        }
+        for (const [key, files] of fileEntries) {
+            await this.getFileStorage().set(key, await this.packFiles(files));
+        }
+        
+        if (this.options.debug) {
+            console.log(`🔐 Encryption key rotated (${entries.size} entries re-encrypted)`);
+        }
+    }
+    
+    /**
+     * State auf Formular anwenden
+     */
+    applyFormState(form, state) {
+        // Fehlende Zeilen zuerst anlegen, gespeicherte Zeilen der Reihe nach zuordnen
+        if (state._rows) {
+            this.addMissingRows(form, state._rows);
+            state = this.remapRows(form, state);
+        }
+        
+        Object.entries(state).forEach(([key, value]) => {
+            if (key.startsWith('_')) return; // Meta-Daten überspringen
+            
+            // Ältere Drafts können Felder enthalten, die inzwischen ausgeschlossen sind
+            const values = Array.isArray(value) ? value : [value];
+            if (values.some(item => this.getFieldPolicy(form, key, item) !== 'persist')) return;
+            
+            this.restoreField(form, key, value);
+        });
+        
+        // Maskierte Felder nur als "war ausgefüllt" markieren
+        if (state._masked) {
+            state._masked.forEach(name => {
+                form.querySelectorAll(`[name="${name}"]`).forEach(element => {
+                    element.setAttribute('data-freeform-state-masked', '');
+                });
+            });
+        }
+        
+        // Custom Elements wiederherstellen
+        if (state._custom) {
+            this.restoreCustomElements(form, state._custom);
+        }
+        
+        // Unchecked Checkboxes
+        if (state._unchecked) {
+            state._unchecked.forEach(name => {
+                const checkbox = form.querySelector(`input[type="checkbox"][name="${name}"]`);
+                if (checkbox) checkbox.checked = false;
+            });
+        }
+    }
+    
+    /**
+     * Einzelnes Feld wiederherstellen
+     */
+    restoreField(form, name, value) {
+        const elements = form.querySelectorAll(`[name="${name}"]`);
+        
+        elements.forEach(element => {
+            // Widgets mit eigener Logik (z.B. TomSelect, flatpickr), false = Standardverhalten
+            const adapter = this.getWidgetAdapter(element);
+            if (adapter && adapter.restore(element, value, this) !== false) return;
+            
+            const type = element.type || element.tagName.toLowerCase();
+            
+            switch (type) {
+                case 'checkbox':
+                    if (Array.isArray(value)) {
+                        element.checked = value.includes(element.value);
+                    } else {
+                        element.checked = (value === element.value);
+                    }
+                    break;
+                    
+                case 'radio':
+                    element.checked = (element.value === value);
+                    break;
+                    
+                case 'select-multiple':
+                    Array.from(element.options).forEach(option => {
+                        option.selected = Array.isArray(value) ? 
+                            value.includes(option.value) : 
+                            option.value === value;
+                    });
+                    break;
+                    
+                case 'file':
+                    // File inputs können nicht programmatisch gesetzt werden
+                    break;
+                    
+                default:
+                    element.value = Array.isArray(value) ? value[0] : value;
+                    break;
+            }
+            
+            // Change Event triggern für Validierung
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+    
+    /**
+     * Custom Elemente wiederherstellen
+     */
+    restoreCustomElements(form, custom) {
+        Object.values(FreeformStateManager.widgetAdapters).forEach(adapter => {
+            if (!adapter.serialize || !adapter.restore) return;
+            
+            form.querySelectorAll(adapter.selector).forEach(element => {
+                const name = this.getWidgetName(adapter, element);
+                const key = name && name + (adapter.suffix || '');
+                
+                if (key && key in custom) {
+                    adapter.restore(element, custom[key], this);
+                }
+            });
+        });
+    }
+    
+    /**
+     * File-Info anzeigen
+     */
+    displayFileInfo(fileInput, fileInfos) {
+        let infoElement = fileInput.parentNode.querySelector('.restored-files-info');
+        
+        if (!infoElement) {
+            infoElement = document.createElement('div');
+            infoElement.className = 'restored-files-info';
+            infoElement.style.cssText = `
+                margin-top: 8px;
+                padding: 8px 12px;
+                background: #f0f9ff;
+                border: 1px solid #bae6fd;
+                border-radius: 4px;
+                font-size: 14px;
+                color: #0369a1;
+            `;
+            fileInput.parentNode.appendChild(infoElement);
+        }
+        
+        infoElement.innerHTML = `
+            <strong>📎 ${this.escapeHtml(this.t('filesRestoredTitle'))}</strong><br>
+            ${fileInfos.map(file => `• ${this.escapeHtml(file.name)} (${this.formatFileSize(file.size)})`).join('<br>')}
+            <br><small>${this.escapeHtml(this.t('filesReselectHint'))}</small>
+        `;
+    }
+    
+    /**
+     * Hinweis mit Wiederherstellen/Verwerfen für einen gespeicherten Draft anzeigen
+     * Solange er offen ist, überschreibt Autosave den Draft nicht
+     */
+    async showRestorePrompt(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        try {
+            const restorable = await this.loadRestorableState(formData);
+            if (!restorable) return;
+            
+            const { entry, state } = restorable;
+            const form = formData.element;
+            const changes = this.getStateChanges(form, state);
+            
+            // Nichts würde sich ändern: kein Hinweis nötig
+            if (changes.length === 0) return;
+            
+            this.hideRestorePrompt(formId);
+            
+            const info = {
+                formId,
+                type: 'restore',
+                timestamp: entry.timestamp,
+                url: entry.url,
+                changes,
+                // Den angezeigten Draft anwenden, nicht was inzwischen gespeichert wurde
+                restore: async () => {
+                    this.hideRestorePrompt(formId, true);
+                    await this.restoreFormState(formId, restorable);
+                },
+                discard: async () => {
+                    this.hideRestorePrompt(formId, true);
+                    await this.clearFormState(formId);
+                },
+                dismiss: () => this.hideRestorePrompt(formId, true)
+            };
+            
+            const prompt = typeof this.options.renderRestorePrompt === 'function' ?
+                this.options.renderRestorePrompt(info) :
+                this.createRestorePrompt(info);
+            
+            if (!prompt) return;
+            
+            form.parentNode.insertBefore(prompt, form);
+            formData.prompt = prompt;
+            
+            this.emit('promptShown', formId, { changes, timestamp: entry.timestamp }, false);
+            
+        } catch (error) {
+            this.reportError(formId, 'prompt', error, '❌ Error showing restore prompt:');
+        }
+    }
+    
+    /**
+     * Hinweis entfernen, Fokus bei Bedarf zurück ins Formular
+     */
+    hideRestorePrompt(formId, returnFocus = false) {
+        const formData = this.forms.get(formId);
+        if (!formData || !formData.prompt) return;
+        
+        const hadFocus = formData.prompt.contains(document.activeElement);
+        formData.prompt.remove();
+        formData.prompt = null;
+        
+        // Während des Hinweises angesammelte Eingaben jetzt speichern
+        if (this.options.autoSave) this.scheduleSave(formId);
+        
+        if (returnFocus && hadFocus) {
+            const field = formData.element.querySelector('input:not([type="hidden"]), select, textarea, button');
+            if (field) field.focus();
+        }
+    }
+    
+    /**
+     * Standard-Markup des Hinweises (ohne Inline-Styles, per BEM-Klassen themebar)
+     */
+    createRestorePrompt(info) {
+        const base = this.options.restorePromptClass;
+        const conflict = info.type === 'conflict';
+        const titleId = `${base}-${info.formId}-title`;
+        const create = (tag, modifier, text) => {
+            const element = document.createElement(tag);
+            element.className = modifier ? `${base}__${modifier}` : base;
+            if (text !== undefined) element.textContent = text;
+            return element;
+        };
+        
+        const prompt = create('div');
+        if (conflict) prompt.classList.add(`${base}--conflict`);
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-live', 'polite');
+        prompt.setAttribute('aria-labelledby', titleId);
+        
+        const title = create('p', 'title', this.t(conflict ? 'conflictTitle' : 'promptTitle'));
+        title.id = titleId;
+        prompt.appendChild(title);
+        
+        const date = this.formatDate(info.timestamp);
+        const meta = create('p', 'meta');
+        if (conflict) {
+            meta.textContent = this.t('conflictSaved', { date });
+        } else if (info.url) {
+            // {url} wird durch einen Link ersetzt, Wortstellung bleibt der Übersetzung überlassen
+            const link = create('a', 'url', new URL(info.url, window.location.href).pathname);
+            link.href = info.url;
+            const [before, after = ''] = this.t('promptSavedFrom', { date }).split('{url}');
+            meta.append(before, link, after);
+        } else {
+            meta.textContent = this.t('promptSaved', { date });
+        }
+        prompt.appendChild(meta);
+        
+        // Vorschau der Felder, die sich ändern würden
+        const details = create('details', 'changes');
+        details.appendChild(create('summary', 'summary', this.t('promptChanges', { count: info.changes.length })));
+        const list = create('ul', 'list');
+        info.changes.forEach(change => {
+            const item = create('li', 'change');
+            item.append(create('span', 'label', change.label), ': ', create('span', 'value', change.value));
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+        prompt.appendChild(details);
+        
+        const actions = create('div', 'actions');
+        const restoreButton = create('button', 'restore', this.t(conflict ? 'conflictUseRemote' : 'promptRestore'));
+        const discardButton = create('button', 'discard', this.t(conflict ? 'conflictKeepLocal' : 'promptDiscard'));
+        restoreButton.type = 'button';
+        discardButton.type = 'button';
+        restoreButton.addEventListener('click', () => info.restore());
+        discardButton.addEventListener('click', () => info.discard());
+        actions.append(restoreButton, discardButton);
+        prompt.appendChild(actions);
+        
+        // Escape schließt den Hinweis: Draft bleibt erhalten bzw. eigene Eingaben gelten
+        prompt.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') info.dismiss();
+        });
+        
+        return prompt;
+    }
+    
+    /**
+     * Felder ermitteln, die ein gespeicherter State verändern würde
+     */
+    getStateChanges(form, state) {
+        const current = this.extractFormState(form);
+        const changes = [];
+        
+        Object.entries(state).forEach(([name, value]) => {
+            if (name.startsWith('_')) return;
+            if (JSON.stringify(current[name]) === JSON.stringify(value)) return;
+            
+            changes.push({
+                name,
+                label: this.getFieldLabel(form, name),
+                value: Array.isArray(value) ? value.join(', ') : String(value)
+            });
+        });
+        
+        (state._unchecked || []).forEach(name => {
+            if (current._unchecked && current._unchecked.includes(name)) return;
+            changes.push({ name, label: this.getFieldLabel(form, name), value: '' });
+        });
+        
+        (state._masked || []).forEach(name => {
+            if (current._masked && current._masked.includes(name)) return;
+            changes.push({ name, label: this.getFieldLabel(form, name), value: this.t('maskedValue'), masked: true });
+        });
+        
+        return changes;
+    }
+    
+    /**
+     * Lesbare Bezeichnung eines Feldes (Label, Legend, aria-label oder Name)
+     */
+    getFieldLabel(form, name) {
+        const element = form.querySelector(`[name="${name}"]`);
+        if (!element) return name;
+        
+        const label = (element.id && form.querySelector(`label[for="${element.id}"]`)) || element.closest('label');
+        const type = element.type;
+        
+        // Bei Gruppen beschreibt die Legend das Feld, das Label nur die Option
+        if (type === 'radio' || type === 'checkbox') {
+            const legend = element.closest('fieldset') && element.closest('fieldset').querySelector('legend');
+            if (legend) return legend.textContent.trim();
+        }
+        
+        if (label && label.textContent.trim()) return label.textContent.trim();
+        return element.getAttribute('aria-label') || name;
+    }
+    
+    /**
+     * Dateigröße lokalisiert formatieren (Intl, Fallback ohne Unit-Support)
+     */
+    formatFileSize(bytes) {
+        const k = 1024;
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(k)), units.length - 1) : 0;
+        const value = bytes / Math.pow(k, i);
+        
+        try {
+            return new Intl.NumberFormat(this.getLocale(), {
+                style: 'unit',
+                unit: units[i],
+                unitDisplay: 'short',
+                maximumFractionDigits: 2
+            }).format(value);
+        } catch (error) {
+            const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+            return parseFloat(value.toFixed(2)) + ' ' + sizes[i];
+        }
+    }
+    
+    /**
+     * Zeitpunkt lokalisiert formatieren
+     */
+    formatDate(timestamp) {
+        try {
+            return new Intl.DateTimeFormat(this.getLocale(), {
+                dateStyle: 'medium',
+                timeStyle: 'short'
+            }).format(new Date(timestamp));
+        } catch (error) {
+            return new Date(timestamp).toLocaleString();
+        }
+    }
+    
+    /**
+     * Aktive Sprache: Option, <html lang>, Browser, sonst Englisch
+     * Wird bei jedem Aufruf ermittelt, da sich lang bei swup-Seitenwechseln ändern kann
+     * Craft-Locales wie de_CH werden zu BCP-47 (de-CH) normalisiert
+     */
+    getLocale() {
+        const locale = this.options.locale ||
+            document.documentElement.lang ||
+            (typeof navigator !== 'undefined' && navigator.language) ||
+            'en';
+        
+        return String(locale).trim().replace(/_/g, '-');
+    }
+    
+    /**
+     * Text aus dem Katalog holen und {platzhalter} ersetzen
+     * Suchreihenfolge: de-CH → de → en, jeweils erst options.messages, dann eingebaut
+     * Pluralformen als Objekt ({ one, other }) über Intl.PluralRules
+     */
+    t(key, params = {}) {
+        const locale = this.getLocale();
+        let message = this.findMessage(key, [locale, locale.split('-')[0], 'en']);
+        
+        if (typeof message === 'object') {
+            const rule = this.getPluralRule(locale, params.count);
+            message = message[rule] !== undefined ? message[rule] : message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? String(params[name]) : match
+        ));
+    }
+    
+    /**
+     * Pluralkategorie (one, few, other, ...) für eine Anzahl
+     * Ungültige Locale oder fehlendes Intl.PluralRules: einfache one/other-Regel
+     */
+    getPluralRule(locale, count) {
+        try {
+            return new Intl.PluralRules(locale).select(count);
+        } catch (error) {
+            return count === 1 ? 'one' : 'other';
+        }
+    }
+    
+    /**
+     * Ersten passenden Katalogeintrag suchen (eigene Texte vor eingebauten)
+     */
+    findMessage(key, locales) {
+        const catalogs = [this.options.messages, FreeformStateManager.messages];
+        
+        for (const locale of locales) {
+            for (const catalog of catalogs) {
+                const messages = catalog[locale];
+                if (messages && messages[key] !== undefined) return messages[key];
+            }
+        }
+        
+        return key;
+    }
+    
+    /**
+     * HTML-Sonderzeichen maskieren (für innerHTML-Vorlagen)
+     */
+    escapeHtml(text) {
+        const element = document.createElement('div');
+        element.textContent = text;
+        return element.innerHTML;
+    }
+    
+    /**
+     * Formular-State löschen
+     */
+    async clearFormState(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        if (!this.emit('beforeClear', formId, {})) return;
+        
+        try {
+            await this.removeDraft(formData.storageKey);
+            formData.fileSignature = null;
+            
+            if (this.options.debug) {
+                console.log(`🗑️ State cleared for form: ${formId}`);
+            }
+            
+            if (this.remoteSync && formData.resumeToken) {
+                clearTimeout(formData.remoteTimer);
+                this.remoteSync.remove(formData.resumeToken).catch(error => {
+                    this.reportError(formId, 'remoteSync', error, '❌ Error deleting remote draft:');
+                });
+                formData.resumeToken = null;
+            }
+            
+            this.emit('cleared', formId, {}, false);
+            
+        } catch (error) {
+            this.reportError(formId, 'clear', error, '❌ Error clearing form state:');
+        }
+    }
+    
+    /**
+     * Gespeicherte Seiten eines Formulars (Index → { state, timestamp })
+     */
+    async getSteps(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return {};
+        
+        const entry = await this.readEntry(formData.storageKey);
+        return entry && !this.isExpired(entry) ? entry.steps : {};
+    }
+    
+    /**
+     * Einzelne Seite aus dem Draft entfernen
+     * Ist danach keine Seite mehr übrig, wird der ganze Draft gelöscht
+     */
+    async clearStep(formId, step) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        try {
+            const entry = await this.readEntry(formData.storageKey);
+            if (!entry) return;
+            
+            delete entry.steps[step];
+            
+            if (Object.keys(entry.steps).length === 0) {
+                await this.clearFormState(formId);
+                return;
+            }
+            
+            await this.writeEntry(formData.storageKey, entry);
+            
+            if (this.options.persistFiles) {
+                await this.getFileStorage().remove(this.getFileKey(formData, Number(step)));
+                if (Number(step) === formData.step) formData.fileSignature = null;
+            }
+            
+            if (this.options.debug) {
+                console.log(`🗑️ Step ${step} cleared for form: ${formId}`);
+            }
+            
+        } catch (error) {
+            this.reportError(formId, 'clearStep', error, '❌ Error clearing form step:');
+        }
+    }
+    
+    /**
+     * Schlüssel der Snapshot-Historie eines Formulars
+     */
+    getHistoryKey(formData) {
+        return formData.storageKey + '_history';
+    }
+    
+    /**
+     * Snapshot-Historie lesen (ggf. entschlüsselt), abgelaufene Versionen fallen weg
+     */
+    async readHistory(formData) {
+        const saved = await this.getStorage().get(this.getHistoryKey(formData));
+        return this.getSnapshotList(saved ? await this.unpackEntry(saved) : null);
+    }
+    
+    /**
+     * Gültige Snapshots eines Historie-Eintrags
+     */
+    getSnapshotList(history) {
+        const minTimestamp = Date.now() - this.options.historyMaxAge;
+        return ((history && history.snapshots) || []).filter(snapshot => snapshot.timestamp >= minTimestamp);
+    }
+    
+    /**
+     * Überschriebenen Stand als Snapshot sichern
+     */
+    async recordSnapshot(formData, step, previous, nextState, force = false) {
+        if (!this.options.historySize) return;
+        
+        try {
+            const history = this.addSnapshot(await this.readHistory(formData), step, previous, nextState, force);
+            if (!history) return;
+            
+            await this.writeEntry(this.getHistoryKey(formData), {
+                snapshots: history,
+                timestamp: Date.now(),
+                ttl: formData.ttl,
+                scope: this.getScope()
+            });
+            
+            if (this.options.debug) {
+                console.log(`🕓 Snapshot recorded for form: ${formData.id} (${history.length} versions)`);
+            }
+            
+        } catch (error) {
+            this.reportError(formData.id, 'history', error, '❌ Error recording snapshot:');
+        }
+    }
+    
+    /**
+     * Snapshot synchron sichern (saveFormStateSync: synchroner Storage, keine Verschlüsselung)
+     */
+    recordSnapshotSync(formData, step, previous, nextState) {
+        if (!this.options.historySize) return;
+        
+        try {
+            const storage = this.getStorage();
+            const key = this.getHistoryKey(formData);
+            const history = this.addSnapshot(this.getSnapshotList(storage.get(key)), step, previous, nextState);
+            if (!history) return;
+            
+            storage.set(key, { snapshots: history, timestamp: Date.now(), ttl: formData.ttl, scope: this.getScope() });
+            
+        } catch (error) {
+            this.reportError(formData.id, 'history', error, '❌ Error recording snapshot:');
+        }
+    }
+    
+    /**
+     * Historie um den überschriebenen Stand ergänzen, null = nichts zu sichern
+     * Identische Stände werden nicht doppelt gespeichert; innerhalb von historyInterval
+     * nur, wenn Inhalte gelöscht wurden (z.B. versehentlich geleertes Textfeld) oder force
+     */
+    addSnapshot(snapshots, step, previous, nextState, force = false) {
+        const hash = this.hashString(JSON.stringify(previous.state));
+        const last = snapshots[snapshots.length - 1];
+        
+        if (last && last.hash === hash) return null;
+        if (!force && last && previous.timestamp - last.timestamp < this.options.historyInterval &&
+            !this.isDestructiveChange(previous.state, nextState)) return null;
+        
+        const history = snapshots.filter(snapshot => snapshot.hash !== hash);
+        history.push({
+            id: `${previous.timestamp.toString(36)}_${hash}`,
+            timestamp: previous.timestamp,
+            step,
+            hash,
+            state: previous.state
+        });
+        
+        return history.slice(-this.options.historySize);
+    }
+    
+    /**
+     * Wurden Inhalte entfernt? (Feld geleert oder Text um mehr als die Hälfte gekürzt)
+     */
+    isDestructiveChange(previous, next) {
+        return Object.entries(previous).some(([name, value]) => {
+            if (name.startsWith('_') || value === '' || (Array.isArray(value) && value.length === 0)) return false;
+            
+            const current = next[name];
+            if (current === undefined || current === '') return true;
+            
+            return typeof value === 'string' && typeof current === 'string' && current.length < value.length / 2;
+        });
+    }
+    
+    /**
+     * Snapshot wiederherstellen und als aktuellen Stand speichern
+     */
+    async applySnapshot(formId, snapshot) {
+        const formData = this.forms.get(formId);
+        
+        const before = this.emit('beforeRestore', formId, {
+            step: snapshot.step,
+            state: snapshot.state,
+            timestamp: snapshot.timestamp,
+            snapshot: snapshot.id
+        });
+        if (!before) return false;
+        
+        this.applyWithoutTracking(formData, () => this.applyFormState(formData.element, before.state));
+        
+        formData.skipSnapshot = true;
+        try {
+            await this.saveFormState(formId);
+        } finally {
+            formData.skipSnapshot = false;
+        }
+        
+        if (this.options.debug) {
+            console.log(`⏪ Snapshot restored for form: ${formId}`, snapshot.id);
+        }
+        
+        this.emit('snapshotRestored', formId, { snapshot: snapshot.id, timestamp: snapshot.timestamp }, false);
+        return true;
+    }
+    
+    /**
+     * Strg/Cmd+Z (mit Umschalt: Redo): in Textfeldern bleibt das native Undo, mit Alt immer Formular-Undo
+     */
+    handleUndoKey(formId, event) {
+        if (!this.options.keyboardUndo || !this.options.historySize) return;
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+        
+        const target = event.target;
+        const editable = target.isContentEditable ||
+            target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && !['checkbox', 'radio', 'file', 'button', 'submit', 'reset'].includes(target.type));
+        if (editable && !event.altKey) return;
+        
+        event.preventDefault();
+        if (event.shiftKey) {
+            this.redo(formId);
+        } else {
+            this.undo(formId);
+        }
+    }
+    
+    /**
+     * Form Submit Handler
+     * Gelöscht wird erst nach bestätigtem Erfolg: per Freeform-AJAX-Event
+     * oder beim nächsten Seitenaufruf (resolveSubmitResult / resolveSubmittedDrafts)
+     */
+    handleFormSubmit(formId, event) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        // Abbrechen verhindert das automatische Löschen nach dem Submit
+        const submit = this.emit('submit', formId, { originalEvent: event });
+        formData.submitPending = submit ? Date.now() : null;
+        formData.submitReturnUrl = this.getReturnUrl(formData.element);
+        
+        // Inhalt merken, falls der Request am Netzwerk scheitert (Freeform AJAX)
+        if (this.submissionQueue) {
+            formData.submission = this.submissionQueue.createItem(formData, event.submitter);
+        }
+        
+        // Wer trotz offenem Restore-Hinweis abschickt, behält die aktuellen Werte
+        this.hideRestorePrompt(formId);
+        
+        // Aktuelle Seite samt Submit-Markierung sichern (überlebt Reload/Redirect)
+        this.saveFormState(formId);
+        
+        if (this.options.debug) {
+            console.log(`📤 Form submitted: ${formId}`);
+        }
+    }
+    
+    /**
+     * Freeform AJAX: erfolgreich abgeschickt oder nächste Seite erreicht
+     */
+    handleAjaxSuccess(formId, event) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        const response = event.response || (event.detail && event.detail.response) || {};
+        const pending = formData.submitPending;
+        formData.submitPending = null;
+        
+        // Mehrseitige Formulare: nur Seitenwechsel, Draft bleibt
+        if (response.finished === false) {
+            this.handleAjaxPageChange(formId, response);
+            return;
+        }
+        
+        const result = this.emit('submitSuccess', formId, {
+            source: 'ajax',
+            response,
+            returnUrl: response.returnUrl || null
+        });
+        
+        if (this.options.debug) {
+            console.log(`✅ AJAX submit succeeded: ${formId}`, response);
+        }
+        
+        if (result && pending && this.options.clearOnSubmit) {
+            formData.completed = true;
+            this.clearFormState(formId);
+        } else {
+            this.saveFormState(formId);
+        }
+    }
+    
+    /**
+     * Freeform AJAX: Validierungs- oder Netzwerkfehler, Draft bleibt erhalten
+     */
+    handleAjaxError(formId, event) {
+        const formData = this.forms.get(formId);
+        if (!formData) return;
+        
+        formData.submitPending = null;
+        
+        // Keine Verbindung: nicht als Fehler melden, sondern später senden
+        if (this.submissionQueue && formData.submission && this.isNetworkFailure(event, formData.element)) {
+            this.queueSubmission(formData, formData.submission);
+            return;
+        }
+        
+        this.emit('submitError', formId, {
+            source: 'ajax',
+            errors: event.errors || {},
+            formErrors: event.formErrors || [],
+            response: event.response || null
+        }, false);
+        
+        if (this.options.debug) {
+            console.log(`⚠️ AJAX submit failed, state kept: ${formId}`, event.errors);
+        }
+        
+        // Submit-Markierung aus dem gespeicherten Draft entfernen
+        this.saveFormState(formId);
+    }
+    
+    /**
+     * Freeform AJAX: Seitenwechsel eines mehrseitigen Formulars
+     * Freeform tauscht den Inhalt erst nach dem Event aus, daher ein Tick Verzögerung
+     */
+    handleAjaxPageChange(formId, response) {
+        const formData = this.forms.get(formId);
+        const from = formData.step;
+        
+        this.defer(() => {
+            if (!this.forms.has(formId)) return;
+            
+            const to = this.getFormStep(formData.element);
+            formData.step = to;
+            
+            this.emit('pageChanged', formId, { from, to, response }, false);
+            
+            if (this.options.debug) {
+                console.log(`📄 Page changed: ${formId} (step ${from} → ${to})`);
+            }
+            
+            // Bereits besuchte Seite wieder befüllen
+            if (!this.options.restorePrompt && this.options.autoRestore) {
+                this.restoreFormState(formId);
+            }
+        });
+    }
+    
+    /**
+     * Offline-Warteschlange: Submits ohne Verbindung abfangen, Status anzeigen, beim Start nachsenden
+     * Der Listener hängt in der Capture-Phase am Dokument, damit Freeforms eigener
+     * Submit-Handler gar nicht erst läuft
+     */
+    setupOfflineQueue() {
+        if (!this.submissionQueue) return;
+        
+        this.addGlobalListener(document, 'submit', (event) => this.handleOfflineSubmit(event), true);
+        
+        this.submissionQueue.list().then(items => {
+            items.forEach(item => {
+                const formData = this.getFormDataByKey(item.key);
+                if (formData) this.showSubmissionStatus(formData.id, 'queued');
+            });
+            return this.submissionQueue.flush();
+        }).catch(error => {
+            this.reportError(null, 'offlineQueue', error, '❌ Error sending queued submissions:');
+        });
+    }
+    
+    /**
+     * Submit ohne Verbindung: Request verhindern und Inhalt in die Warteschlange legen
+     */
+    handleOfflineSubmit(event) {
+        if (navigator.onLine !== false || event.defaultPrevented) return;
+        
+        const formData = this.getFormDataByElement(event.target);
+        if (!formData) return;
+        
+        // Sensible Werte landen nicht im Speicher: normal absenden, der Fehler wird wie gewohnt gemeldet
+        if (this.hasUnstorableValues(formData.element)) return;
+        
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        
+        this.queueSubmission(formData, this.submissionQueue.createItem(formData, event.submitter));
+    }
+    
+    /**
+     * Netzwerkfehler statt Validierungsfehler
+     * Status 0 bzw. fehlende Antwort allein reicht nicht: so enden auch abgebrochene
+     * Requests und CORS-Fehler, die beim erneuten Senden genauso scheitern würden
+     */
+    isNetworkFailure(event, form) {
+        if (navigator.onLine === false) return true;
+        
+        const detail = event.detail || {};
+        const failure = event.error || detail.error;
+        if (!failure || failure.name !== 'TypeError') return false;
+        
+        // fetch meldet CORS-Fehler ebenfalls als TypeError, die gibt es nur bei fremder Origin
+        try {
+            const action = new URL(form.getAttribute('action') || window.location.href, window.location.href);
+            return action.origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Enthält das Formular ausgefüllte Felder, die nicht gespeichert werden dürfen
+     * (excludeFields, maskFields, Passwörter, Kartennummern, ...)? Leere Felder wie Honeypots zählen nicht
+     */
+    hasUnstorableValues(form) {
+        const csrfTokenName = this.submissionQueue.options.csrfTokenName;
+        
+        return Array.from(new FormData(form).entries()).some(([name, value]) => {
+            if (name === csrfTokenName) return false;
+            if (typeof File !== 'undefined' && value instanceof File) return false;
+            
+            return value !== '' && this.getFieldPolicy(form, name, value) !== 'persist';
+        });
+    }
+    
+    /**
+     * Submit in die Warteschlange legen, der Draft bleibt bis zur Bestätigung erhalten
+     */
+    async queueSubmission(formData, item) {
+        formData.submitPending = null;
+        formData.submission = null;
+        this.saveFormState(formData.id);
+        
+        // Ohne dauerhaften Speicher (keine Einwilligung) nichts versprechen
+        if (!this.submissionQueue.storage) {
+            this.rejectSubmission(formData.id, 'storage');
+            return;
+        }
+        
+        // Passwörter, Kartennummern & Co. nie im Ausgang ablegen
+        if (this.hasUnstorableValues(formData.element)) {
+            this.rejectSubmission(formData.id, 'sensitive');
+            return;
+        }
+        
+        try {
+            await this.submissionQueue.enqueue(item);
+            
+            if (this.options.debug) {
+                console.log(`📮 Submission queued: ${formData.id}`);
+            }
+            
+            this.showSubmissionStatus(formData.id, 'queued');
+            this.emit('submitQueued', formData.id, { queuedAt: item.queuedAt }, false);
+            
+        } catch (error) {
+            this.reportError(formData.id, 'offlineQueue', error, '❌ Error queueing submission:');
+            this.rejectSubmission(formData.id, 'storage');
+        }
+    }
+    
+    /**
+     * Submit konnte nicht gepuffert werden: als nicht gesendet melden, der Draft bleibt erhalten
+     * reason: 'storage' (kein dauerhafter Speicher) oder 'sensitive' (Felder, die nicht gespeichert werden dürfen)
+     */
+    rejectSubmission(formId, reason) {
+        if (this.options.debug) {
+            console.log(`📮 Submission not queued (${reason}): ${formId}`);
+        }
+        
+        this.showSubmissionStatus(formId, 'unavailable');
+        this.emit('submitError', formId, {
+            source: 'offline',
+            queued: false,
+            reason,
+            errors: {},
+            formErrors: [],
+            response: null
+        }, false);
+    }
+    
+    /**
+     * Status eines nachgesendeten Submits: Anzeige aktualisieren und Ergebnis melden
+     * status = 'queued', 'sending', 'sent', 'failed', 'expired' oder 'unconfirmed' (gesendet, Ausgang unbekannt)
+     */
+    async handleQueuedSubmission(item, status, detail = {}) {
+        const formData = this.getFormDataByKey(item.key);
+        const formId = formData ? formData.id : item.formId;
+        
+        this.showSubmissionStatus(formId, status);
+        
+        if (this.options.debug) {
+            console.log(`📮 Queued submission ${status}: ${formId}`);
+        }
+        
+        if (status === 'sent') {
+            await this.handleSubmitSuccess(formData || { id: formId, storageKey: item.key }, 'offline', {
+                response: detail.response || null
+            });
+        } else if (status === 'failed' || status === 'expired' || status === 'unconfirmed') {
+            const response = detail.response || {};
+            this.emit('submitError', formId, {
+                source: 'offline',
+                expired: status === 'expired',
+                unconfirmed: status === 'unconfirmed',
+                errors: response.errors || {},
+                formErrors: response.formErrors || [],
+                response: detail.response || null
+            }, false);
+        }
+    }
+    
+    /**
+     * Statusanzeige im Formular (role="status", per BEM-Klassen themebar)
+     */
+    showSubmissionStatus(formId, status) {
+        const formData = this.forms.get(formId);
+        if (!formData || !formData.element.isConnected) return;
+        
+        const form = formData.element;
+        const base = this.options.offlineStatusClass;
+        const messages = {
+            queued: 'offlineQueued',
+            sending: 'offlineSending',
+            sent: 'offlineSent',
+            failed: 'offlineFailed',
+            expired: 'offlineExpired',
+            unconfirmed: 'offlineUnconfirmed',
+            unavailable: 'offlineUnavailable'
+        };
+        
+        let element = form.querySelector(`.${base}`);
+        if (!element) {
+            element = document.createElement('div');
+            element.setAttribute('role', 'status');
+            element.setAttribute('aria-live', 'polite');
+            form.insertBefore(element, form.firstChild);
+        }
+        
+        element.className = `${base} ${base}--${status}`;
+        element.textContent = this.t(messages[status]);
+        form.setAttribute('data-freeform-state-submission', status);
+    }
+    
+    /**
+     * Storage der Warteschlange, null = Submits werden nicht gepuffert
+     * Ohne Einwilligung gibt es keine: im Arbeitsspeicher ginge sie mit dem Tab verloren.
+     * localStorage/sessionStorage sind ausgeschlossen, JSON verliert die Dateien.
+     */
+    createOutboxStorage() {
+        if (!this.consent) return null;
+        
+        const settings = this.options.offlineQueue === true ? {} : this.options.offlineQueue;
+        const storage = this.createStorageAdapter(
+            settings.storageType || 'indexedDB',
+            settings.storageOptions || { dbName: 'freeform_state_outbox' }
+        );
+        
+        if (storage instanceof WebStorageAdapter) {
+            this.reportError(null, 'offlineQueue', new Error('Outbox storage cannot hold files'),
+                '❌ Offline queue disabled, use indexedDB or a custom adapter instead of Web Storage:');
+            return null;
+        }
+        
+        return storage;
+    }
+    
+    /**
+     * Ergebnis eines klassischen (Nicht-AJAX) Submits nach dem Reload auswerten
+     * Liefert true, wenn der Draft erhalten bleibt
+     */
+    async resolveSubmitResult(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return false;
+        
+        try {
+            const raw = await this.getStorage().get(formData.storageKey);
+            if (!raw || !raw.submittedAt) return true;
+            
+            const form = formData.element;
+            const fresh = Date.now() - raw.submittedAt <= this.options.submitResultTimeout;
+            const failed = Boolean(form.querySelector(this.options.submitErrorSelector));
+            const succeeded = !failed && Boolean(
+                form.querySelector(this.options.submitSuccessSelector) ||
+                document.querySelector(this.options.submitSuccessSelector)
+            );
+            
+            if (fresh && succeeded) {
+                return !(await this.handleSubmitSuccess(formData, 'redirect'));
+            }
+            
+            // Fehler, nächste Seite oder unklar: Draft behalten, Markierung entfernen
+            await this.updateEntryMeta(formData.storageKey, { submittedAt: null, submitReturnUrl: null });
+            
+            if (fresh && failed) {
+                this.emit('submitError', formId, { source: 'redirect' }, false);
+                
+                if (this.options.debug) {
+                    console.log(`⚠️ Submit failed, state kept: ${formId}`);
+                }
+            }
+            
+        } catch (error) {
+            this.reportError(formId, 'submit', error, '❌ Error resolving submit result:');
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Drafts mit Submit-Markierung, deren Formular nicht auf der Seite ist
+     * Erfolg nur, wenn dies die Weiterleitung des Formulars ist oder eine Erfolgsmeldung angezeigt wird;
+     * sonst (anderer Seitenaufruf, Formular kommt später per AJAX) bleibt der Draft erhalten
+     */
+    async resolveSubmittedDrafts() {
+        const storage = this.getStorage();
+        
+        try {
+            // Formulare im Dokument (auch anderer Instanzen oder noch nicht registriert) entscheiden selbst
+            const pageKeys = this.getPageStorageKeys();
+            const successShown = Boolean(document.querySelector(this.options.submitSuccessSelector));
+            
+            for (const key of await storage.list(this.options.storagePrefix)) {
+                if (pageKeys.has(key) || this.getFormDataByKey(key)) continue;
+                
+                const raw = await this.readRaw(storage, key);
+                if (!raw || !raw.submittedAt || !this.ownsEntry(raw)) continue;
+                
+                const fresh = Date.now() - raw.submittedAt <= this.options.submitResultTimeout;
+                const redirected = Boolean(raw.submitReturnUrl) && this.isCurrentUrl(raw.submitReturnUrl);
+                
+                if (fresh && (redirected || successShown)) {
+                    const handle = key.slice(this.options.storagePrefix.length).split('|')[0];
+                    await this.handleSubmitSuccess({ id: handle, storageKey: key }, 'redirect');
+                } else {
+                    // Kein Beleg für Erfolg: Draft behalten, Markierung entfernen
+                    await this.updateEntryMeta(key, { submittedAt: null, submitReturnUrl: null });
+                }
+            }
+        } catch (error) {
+            this.reportError(null, 'submit', error, '❌ Error resolving submitted drafts:');
+        }
+    }
+    
+    /**
+     * Storage-Keys aller Formulare im Dokument, inklusive früherer Keys (storagePrefix + Form-ID)
+     */
+    getPageStorageKeys() {
+        const keys = new Set();
+        
+        document.querySelectorAll(this.options.formSelectors.join(', ')).forEach(form => {
+            const identity = this.getFormIdentity(form);
+            keys.add(this.getStorageKey(form, identity));
+            keys.add(this.options.storagePrefix + (form.getAttribute('id') || form.getAttribute('name') || identity.handle));
+        });
+        
+        return keys;
+    }
+    
+    /**
+     * Weiterleitungsziel nach erfolgreichem Submit
+     * Craft-Redirect-Felder sind signiert (64 Zeichen Hash vor der URL)
+     */
+    getReturnUrl(form) {
+        const declared = form.getAttribute('data-freeform-state-return-url');
+        if (declared) return declared;
+        
+        for (const name of this.options.returnUrlFieldNames) {
+            const field = form.querySelector(`input[name="${name}"]`);
+            const value = field && field.value.replace(/^[0-9a-f]{64}/, '');
+            if (value) return value;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Entspricht die URL der aktuellen Seite? (Pfad ohne abschließenden Slash, Query nur wenn angegeben)
+     */
+    isCurrentUrl(url) {
+        try {
+            const target = new URL(url, window.location.href);
+            const path = (pathname) => pathname.replace(/\/+$/, '') || '/';
+            
+            return target.origin === window.location.origin &&
+                path(target.pathname) === path(window.location.pathname) &&
+                (!target.search || target.search === window.location.search);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Erfolgreichen Submit melden und Draft löschen
+     * Liefert true, wenn der Draft gelöscht wurde
+     */
+    async handleSubmitSuccess(formData, source, detail = {}) {
+        const result = this.emit('submitSuccess', formData.id, { source, ...detail });
+        
+        if (this.options.debug) {
+            console.log(`✅ Submit succeeded: ${formData.id}`);
+        }
+        
+        if (!result || !this.options.clearOnSubmit) {
+            await this.updateEntryMeta(formData.storageKey, { submittedAt: null, submitReturnUrl: null });
+            return false;
+        }
+        
+        if (this.forms.has(formData.id)) {
+            this.forms.get(formData.id).completed = true;
+            await this.clearFormState(formData.id);
+        } else {
+            await this.removeDraft(formData.storageKey);
+        }
+        return true;
+    }
+    
+    /**
+     * Lifecycle-Event auslösen
+     * Wird als CustomEvent "freeformstate:<name>" auf dem Formular dispatcht
+     * und an alle per on() registrierten Listener gereicht.
+     * Liefert das detail-Objekt oder null, wenn ein Listener abgebrochen hat.
+     */
+    emit(name, formId, detail = {}, cancelable = true) {
+        const formData = this.forms.get(formId);
+        const target = formData && formData.element.isConnected ? formData.element : document;
+        
+        const event = new CustomEvent(`freeformstate:${name}`, {
+            bubbles: true,
+            cancelable: cancelable,
+            detail: { formId, manager: this, ...detail }
+        });
+        
+        target.dispatchEvent(event);
+        
+        (this.listeners.get(name) || []).forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`❌ Error in ${name} listener:`, error);
+            }
+        });
+        
+        return event.defaultPrevented ? null : event.detail;
+    }
+    
+    /**
+     * Fehler als "error"-Event melden, ohne Abbruch auch in der Konsole
+     */
+    reportError(formId, action, error, message) {
+        if (this.emit('error', formId, { action, error })) {
+            console.error(message, error);
+        }
+    }
+    
+    /**
+     * Transform-Hooks sequenziell ausführen (dürfen async sein)
+     * Ein Rückgabewert ungleich undefined ersetzt den State
+     */
+    async runHooks(name, state, context) {
+        let result = state;
+        
+        for (const hook of this.hooks[name]) {
+            const transformed = await hook(result, context);
+            if (transformed !== undefined) result = transformed;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Router-Integration über Navigation-Adapter
+     * Jeder Adapter meldet beforeLeave, afterEnter und afterSettle
+     */
+    setupNavigationIntegration() {
+        const handlers = {
+            // Vor Seitenwechsel: States speichern
+            beforeLeave: () => {
+                this.forms.forEach((formData, formId) => {
+                    this.saveFormState(formId);
+                });
+                
+                if (this.options.debug) {
+                    console.log('🔄 Navigation: All form states saved');
+                }
+            },
+            
+            // Nach Seitenwechsel: Neue Formulare entdecken und States wiederherstellen
+            afterEnter: () => {
+                // Alte Form-Referenzen abmelden
+                this.unregisterDetachedForms();
+                
+                // Neue Formulare entdecken
+                this.discoverForms();
+                
+                if (this.options.debug) {
+                    console.log('🔄 Navigation: Forms re-initialized after page change');
+                }
+            },
+            
+            // Nach Animationen: Final cleanup
+            afterSettle: () => {
+                // Im Prompt-Modus entscheidet der Benutzer
+                if (this.options.restorePrompt) return;
+                
+                // Delayed restore für dynamisch geladene Inhalte
+                this.defer(() => {
+                    this.forms.forEach((formData, formId) => {
+                        this.restoreFormState(formId);
+                    });
+                }, 100);
+            }
+        };
+        
+        // Jeder Adapter wird einmal pro Seite angebunden (mit den Optionen der ersten Instanz)
+        this.getNavigationAdapters().forEach(adapter => {
+            this.navigationDetachers.push(FreeformStateManager.subscribe(adapter, 'navigation',
+                (name, ...args) => handlers[name](...args),
+                (dispatch) => {
+                    const shared = {};
+                    Object.keys(handlers).forEach(name => {
+                        shared[name] = (...args) => dispatch(name, ...args);
+                    });
+                    return adapter.attach(shared, this.options);
+                }
+            ));
+        });
+        
+        // Fallback für normale Navigation
+        this.addGlobalListener(window, 'beforeunload', () => this.flushPendingSaves());
+    }
+    
+    /**
+     * Consent-Manager anbinden
+     * Explizit genannte Adapter werden ohne detect() angebunden, da Consent-Skripte oft später laden
+     */
+    setupConsent() {
+        const setting = this.options.consentManager;
+        if (!this.options.requireConsent || !setting) return;
+        
+        const registry = FreeformStateManager.consentManagers;
+        const adapters = setting === 'auto' ?
+            Object.values(registry).filter(adapter => adapter.detect(this.options)) :
+            [].concat(setting).map(entry => {
+                if (typeof entry === 'object') return entry;
+                
+                const adapter = registry[entry];
+                if (!adapter) {
+                    throw new Error(`Unknown consent manager: ${entry}`);
+                }
+                return adapter;
+            });
+        
+        const update = (granted) => {
+            if (granted) {
+                this.grantConsent();
+            } else if (this.consent) {
+                this.revokeConsent();
+            }
+        };
+        
+        adapters.forEach(adapter => {
+            const detach = adapter.attach(update, this.options);
+            if (typeof detach === 'function') this.consentDetachers.push(detach);
+        });
+    }
+    
+    /**
+     * Lifecycle-Events an das Analytics-Modul weiterreichen
+     */
+    setupAnalytics() {
+        this.on('submit', (event) => this.analytics.markSubmitted(event.detail.formId));
+        this.on('submitSuccess', (event) => this.analytics.finish(event.detail.formId, 'completed'));
+        this.on('submitError', (event) => this.analytics.count(event.detail.formId, 'submitErrors'));
+        this.on('afterRestore', (event) => this.analytics.count(event.detail.formId, 'restores'));
+        this.on('snapshotRestored', (event) => this.analytics.count(event.detail.formId, 'undos'));
+        this.on('promptShown', (event) => this.analytics.count(event.detail.formId, 'prompts'));
+    }
+    
+    /**
+     * Eigenen Consent-Manager-Adapter registrieren
+     * adapter = { detect(options) => boolean, attach(update(granted), options) => detach() }
+     */
+    static registerConsentManager(name, adapter) {
+        FreeformStateManager.consentManagers[name] = adapter;
+    }
+    
+    /**
+     * Zu verwendende Navigation-Adapter bestimmen
+     * 'auto' nimmt alle eingebauten/registrierten Adapter, deren detect() zutrifft
+     */
+    getNavigationAdapters() {
+        const setting = this.options.navigation;
+        const registry = FreeformStateManager.navigationAdapters;
+        
+        if (!setting) return [];
+        
+        if (setting === 'auto') {
+            const adapters = Object.values(registry).filter(adapter => adapter.detect(this.options));
+            
+            // swup 4 bringt die Hooks-API mit, der Legacy-Adapter ist dann überflüssig
+            return adapters.includes(registry.swup4) ?
+                adapters.filter(adapter => adapter !== registry.swup) : adapters;
+        }
+        
+        return [].concat(setting).map(entry => {
+            if (typeof entry === 'object') return entry;
+            
+            const adapter = registry[entry];
+            if (!adapter) {
+                throw new Error(`Unknown navigation adapter: ${entry}`);
+            }
+            return adapter;
+        }).filter(adapter => adapter.detect(this.options));
+    }
+    
+    /**
+     * Eigenen Navigation-Adapter registrieren
+     * adapter = { detect(options) => boolean, attach(handlers, options) => detach() }
+     */
+    static registerNavigationAdapter(name, adapter) {
+        FreeformStateManager.navigationAdapters[name] = adapter;
+    }
+    
+    /**
+     * Cross-Tab Synchronisation
+     * BroadcastChannel bevorzugt, sonst storage-Event (nur localStorage)
+     */
+    setupCrossTabSync() {
+        if (!this.options.crossTabSync) return;
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            const name = this.options.syncChannelName;
+            const channels = FreeformStateManager.channels;
+            
+            // Ein Channel pro Name für alle Instanzen der Seite
+            this.globalDetachers.push(FreeformStateManager.subscribe(window, `channel:${name}`,
+                (data) => this.handleRemoteChange(data),
+                (dispatch) => {
+                    const channel = new BroadcastChannel(name);
+                    channel.addEventListener('message', (event) => dispatch(event.data));
+                    channels.set(name, channel);
+                    
+                    return () => {
+                        channel.close();
+                        channels.delete(name);
+                    };
+                }
+            ));
+            this.channel = channels.get(name);
+            return;
+        }
+        
+        this.addGlobalListener(window, 'storage', (event) => {
+            if (!event.key || !event.key.startsWith(this.options.storagePrefix)) return;
+            if (event.newValue === null) return;
+            
+            this.handleRemoteChange({ type: 'saved', storageKey: event.key });
+        });
+    }
+    
+    /**
+     * Andere Tabs über eine Speicherung informieren
+     * Es wird nur der Key verschickt, der Inhalt kommt (ggf. entschlüsselt) aus dem Storage
+     */
+    broadcastChange(formData, step) {
+        if (!this.channel || !this.consent) return;
+        
+        this.channel.postMessage({
+            type: 'saved',
+            tabId: this.tabId,
+            storageKey: formData.storageKey,
+            step: step
+        });
+    }
+    
+    /**
+     * Änderung aus einem anderen Tab gemäß conflictPolicy verarbeiten
+     */
+    async handleRemoteChange(message) {
+        if (!message || message.type !== 'saved' || message.tabId === this.tabId) return;
+        
+        const formData = this.getFormDataByKey(message.storageKey);
+        if (!formData || formData.conflictPending) return;
+        
+        const formId = formData.id;
+        const form = formData.element;
+        
+        try {
+            const entry = await this.readEntry(formData.storageKey);
+            if (!entry) return;
+            
+            const step = this.getFormStep(form);
+            const remoteStep = entry.steps[step];
+            if (!remoteStep) return;
+            
+            const remote = await this.runHooks('restore', remoteStep.state, { formId, step, form });
+            const local = this.extractFormState(form);
+            
+            if (JSON.stringify(local) === JSON.stringify(remote)) {
+                formData.lastSynced = Date.now();
+                return;
+            }
+            
+            switch (this.options.conflictPolicy) {
+                case 'merge':
+                    this.mergeRemoteState(formData, local, remote, remoteStep.fields || {});
+                    break;
+                    
+                case 'ask':
+                    if (formData.lastChanged && formData.lastChanged > (formData.lastSynced || 0)) {
+                        this.resolveConflict(formData, local, remote, remoteStep);
+                    } else {
+                        this.applyRemoteState(formData, remote);
+                    }
+                    break;
+                    
+                default: {
+                    // last-write-wins: neuere lokale Eingaben werden ohnehin gleich gespeichert
+                    const remoteChanged = Math.max(0, ...Object.values(remoteStep.fields || {})) || remoteStep.timestamp;
+                    if (!formData.lastChanged || formData.lastChanged <= remoteChanged) {
+                        this.applyRemoteState(formData, remote);
+                    }
+                    break;
+                }
+            }
+            
+        } catch (error) {
+            this.reportError(formId, 'sync', error, '❌ Error syncing form state:');
+        }
+    }
+    
+    /**
+     * State aus einem anderen Tab übernehmen
+     */
+    applyRemoteState(formData, state) {
+        this.applyWithoutTracking(formData, () => this.applyFormState(formData.element, state));
+        formData.lastSynced = Date.now();
+        
+        if (this.options.debug) {
+            console.log(`🔁 State synced from another tab: ${formData.id}`, state);
+        }
+        
+        this.emit('synced', formData.id, { step: formData.step, state }, false);
+    }
+    
+    /**
+     * Pro Feld den jeweils neueren Wert übernehmen
+     */
+    mergeRemoteState(formData, local, remote, remoteFields) {
+        const localFields = formData.fieldTimestamps;
+        const merged = { _custom: { ...(local._custom || {}), ...(remote._custom || {}) } };
+        const uncheckedLocal = local._unchecked || [];
+        const uncheckedRemote = remote._unchecked || [];
+        
+        const names = new Set([
+            ...Object.keys(local),
+            ...Object.keys(remote),
+            ...uncheckedLocal,
+            ...uncheckedRemote
+        ]);
+        
+        names.forEach(name => {
+            if (name.startsWith('_')) return;
+            
+            const useRemote = (remoteFields[name] || 0) > (localFields[name] || 0);
+            const source = useRemote ? remote : local;
+            const unchecked = useRemote ? uncheckedRemote : uncheckedLocal;
+            
+            if (name in source) merged[name] = source[name];
+            if (unchecked.includes(name)) {
+                if (!merged._unchecked) merged._unchecked = [];
+                merged._unchecked.push(name);
+            }
+            if (useRemote) localFields[name] = remoteFields[name];
+        });
+        
+        this.applyRemoteState(formData, merged);
+        
+        // Nur zurückschreiben, wenn lokale Werte dazugekommen sind
+        if (JSON.stringify(this.extractFormState(formData.element)) !== JSON.stringify(remote)) {
+            this.saveFormState(formData.id);
+        }
+    }
+    
+    /**
+     * Konflikt dem Benutzer vorlegen
+     * Listener können das "conflict"-Event abbrechen und später resolve() aufrufen,
+     * sonst erscheint ein Hinweis über dem Formular (blockiert die Seite nicht)
+     */
+    resolveConflict(formData, local, remote, remoteStep) {
+        formData.conflictPending = true;
+        let prompt = null;
+        
+        const resolve = (choice) => {
+            if (!formData.conflictPending) return;
+            formData.conflictPending = false;
+            
+            if (prompt && formData.prompt === prompt) this.hideRestorePrompt(formData.id, true);
+            
+            if (choice === 'remote') {
+                this.applyRemoteState(formData, remote);
+            } else if (choice === 'merge') {
+                this.mergeRemoteState(formData, local, remote, remoteStep.fields || {});
+            } else {
+                formData.lastSynced = Date.now();
+                this.saveFormState(formData.id);
+            }
+        };
+        
+        const detail = this.emit('conflict', formData.id, {
+            step: formData.step,
+            local,
+            remote,
+            remoteTimestamp: remoteStep.timestamp,
+            resolve
+        });
+        
+        if (detail) {
+            prompt = this.showConflictPrompt(formData, remote, remoteStep, resolve);
+        }
+    }
+    
+    /**
+     * Konflikt-Hinweis mit dem Markup des Restore-Hinweises (info.type = 'conflict')
+     * Übernehmen → Stand des anderen Tabs, Behalten/Escape → eigene Eingaben
+     * Solange er offen ist, speichert Autosave nicht
+     */
+    showConflictPrompt(formData, remote, remoteStep, resolve) {
+        const form = formData.element;
+        const info = {
+            formId: formData.id,
+            type: 'conflict',
+            timestamp: remoteStep.timestamp,
+            url: null,
+            changes: this.getStateChanges(form, remote),
+            restore: () => resolve('remote'),
+            discard: () => resolve('local'),
+            dismiss: () => resolve('local')
+        };
+        
+        this.hideRestorePrompt(formData.id);
+        
+        const prompt = typeof this.options.renderRestorePrompt === 'function' ?
+            this.options.renderRestorePrompt(info) :
+            this.createRestorePrompt(info);
+        
+        // Ohne Markup gibt es keine Rückfrage: eigene Eingaben gelten
+        if (!prompt) {
+            resolve('local');
+            return null;
+        }
+        
+        form.parentNode.insertBefore(prompt, form);
+        formData.prompt = prompt;
+        
+        return prompt;
+    }
+    
+    /**
+     * Server-Sync nach dem Speichern verzögert anstoßen
+     */
+    scheduleRemoteSync(formData) {
+        if (!this.remoteSync || !this.consent) return;
+        
+        clearTimeout(formData.remoteTimer);
+        formData.remoteTimer = setTimeout(() => {
+            this.pushRemote(formData).catch(() => {});
+        }, this.remoteSync.options.delay);
+    }
+    
+    /**
+     * Draft an den Server senden, liefert den Resume-Token
+     */
+    pushRemote(formData) {
+        formData.remotePush = (async () => {
+            try {
+                const token = await this.remoteSync.push(formData.storageKey, formData.resumeToken);
+                
+                if (token && this.options.debug) {
+                    console.log(`☁️ Draft synced to server: ${formData.id}`, token);
+                }
+                
+                return token;
+                
+            } catch (error) {
+                // Abgebrochen durch destroy(): kein Fehler
+                if (error.cancelled) return null;
+                
+                this.reportError(formData.id, 'remoteSync', error, '❌ Error syncing draft to server:');
+                throw error;
+                
+            } finally {
+                formData.remotePush = null;
+            }
+        })();
+        
+        return formData.remotePush;
+    }
+    
+    /**
+     * Server-Kopie eines (ggf. verschlüsselten) gespeicherten Eintrags löschen
+     */
+    async removeRemoteDraft(raw) {
+        if (!this.remoteSync || !raw || typeof raw !== 'object') return;
+        
+        const entry = await this.unpackEntry(raw);
+        if (!entry || !entry.resumeToken) return;
+        
+        try {
+            await this.remoteSync.remove(entry.resumeToken);
+        } catch (error) {
+            this.reportError(null, 'remoteSync', error, '❌ Error deleting remote draft:');
+        }
+    }
+    
+    /**
+     * Resume-Token vom Server im lokalen Eintrag merken
+     */
+    async storeResumeToken(storageKey, token) {
+        const formData = this.getFormDataByKey(storageKey);
+        if (formData) formData.resumeToken = token;
+        
+        const entry = await this.readEntry(storageKey);
+        if (entry && entry.resumeToken !== token) {
+            await this.writeEntry(storageKey, { ...entry, resumeToken: token });
+        }
+        
+        if (formData) {
+            this.emit('remoteSynced', formData.id, { token }, false);
+        }
+    }
+    
+    /**
+     * Draft über den Resume-Parameter der URL vom Server laden
+     */
+    async resumeFromLink() {
+        if (!this.remoteSync) return;
+        
+        const url = new URL(window.location.href);
+        const token = url.searchParams.get(this.options.resumeParam);
+        if (!token) return;
+        
+        try {
+            const result = await this.remoteSync.pull(token);
+            if (!result || !result.entry || typeof result.key !== 'string') return;
+            
+            // Nur Keys des eigenen Namensraums übernehmen
+            if (!result.key.startsWith(this.options.storagePrefix)) return;
+            
+            await this.writeEntry(result.key, {
+                ...result.entry,
+                timestamp: Date.now(),
+                resumeToken: token
+            });
+            
+            // Parameter entfernen, damit ein Reload neuere Eingaben nicht überschreibt
+            url.searchParams.delete(this.options.resumeParam);
+            window.history.replaceState(window.history.state, '', url.toString());
+            
+            const formData = this.getFormDataByKey(result.key);
+            if (formData) {
+                formData.resumeToken = token;
+                await this.restoreFormState(formData.id);
+                this.emit('resumed', formData.id, { token }, false);
+            }
+            
+            if (this.options.debug) {
+                console.log(`☁️ Draft resumed from link: ${result.key}`);
+            }
+            
+        } catch (error) {
+            this.reportError(null, 'resume', error, '❌ Error resuming draft from link:');
+        }
+    }
+    
+    /**
+     * Page Visibility Handlers für Auto-Save
+     */
+    setupVisibilityHandlers() {
+        this.addGlobalListener(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                // Tab wird versteckt - offene Änderungen sofort sichern
+                this.flushPendingSaves();
+            }
+        });
+        
+        // Mobile: pagehide Event
+        this.addGlobalListener(window, 'pagehide', () => this.flushPendingSaves());
+    }
+    
+    /**
+     * Listener an window/document hängen (geteilt mit anderen Instanzen) und für destroy() merken
+     */
+    addGlobalListener(target, type, handler, capture = false) {
+        this.globalDetachers.push(FreeformStateManager.listen(target, type, handler, capture));
+    }
+    
+    /**
+     * setTimeout, das destroy() abbricht
+     */
+    defer(callback, delay = 0) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+        return timer;
+    }
+    
+    /**
+     * Seitenweite Ressource (Listener, Observer, Channel, Navigation-Adapter) einmal für alle Instanzen
+     * setup(dispatch) richtet sie beim ersten Abonnenten ein und liefert eine Abbau-Funktion,
+     * dispatch(...args) ruft alle Abonnenten auf. Liefert eine Funktion zum Abmelden;
+     * mit dem letzten Abonnenten wird die Ressource abgebaut (ohne Abbau-Funktion bleibt sie bestehen)
+     */
+    static subscribe(target, key, subscriber, setup) {
+        const registry = FreeformStateManager.shared;
+        if (!registry.has(target)) registry.set(target, new Map());
+        
+        const entries = registry.get(target);
+        let shared = entries.get(key);
+        
+        if (!shared) {
+            const subscribers = new Set();
+            shared = { subscribers, teardown: null };
+            entries.set(key, shared);
+            // Ein fehlerhafter Abonnent darf die anderen Instanzen nicht aufhalten
+            shared.teardown = setup((...args) => Array.from(subscribers).forEach(callback => {
+                try {
+                    callback(...args);
+                } catch (error) {
+                    console.error('❌ Error in shared listener:', error);
+                }
+            }));
+        }
+        
+        shared.subscribers.add(subscriber);
+        
+        return () => {
+            // Mehrfaches Abmelden darf eine neu eingerichtete Ressource nicht abbauen
+            if (!shared.subscribers.delete(subscriber)) return;
+            if (shared.subscribers.size > 0 || typeof shared.teardown !== 'function') return;
+            
+            entries.delete(key);
+            shared.teardown();
+        };
+    }
+    
+    /**
+     * Geteilter DOM-Listener (auch für RemoteSyncClient, SubmissionQueue, FormAnalytics)
+     */
+    static listen(target, type, handler, capture = false) {
+        return FreeformStateManager.subscribe(target, `${type}:${capture}`, handler, (dispatch) => {
+            target.addEventListener(type, dispatch, capture);
+            return () => target.removeEventListener(type, dispatch, capture);
+        });
+    }
+    
+    /**
+     * Storage-Adapter holen (wird beim ersten Zugriff erzeugt)
+     */
+    getStorage() {
+        if (!this.storage) {
+            // Ohne Einwilligung nur flüchtig im Arbeitsspeicher
+            this.storage = this.consent ?
+                this.createStorageAdapter(this.options.storageType, this.options.storageOptions) :
+                new MemoryStorageAdapter();
+        }
+        
+        return this.storage;
+    }
+    
+    /**
+     * File-Storage-Adapter holen (für Datei-Blobs)
+     */
+    getFileStorage() {
+        if (!this.fileStorage) {
+            this.fileStorage = this.consent ?
+                this.createStorageAdapter(this.options.fileStorageType, this.options.fileStorageOptions) :
+                new MemoryStorageAdapter();
+        }
+        
+        return this.fileStorage;
+    }
+    
+    /**
+     * Adapter aus Registry-Namen oder eigener Instanz erzeugen
+     */
+    createStorageAdapter(type, adapterOptions) {
+        if (type && typeof type === 'object') {
+            // Eigene Adapter-Instanz direkt verwenden
+            return type;
+        }
+        
+        const factory = FreeformStateManager.storageAdapters[type];
+        if (!factory) {
+            throw new Error(`Unknown storage adapter: ${type}`);
+        }
+        return factory(adapterOptions || {});
+    }
+    
+    /**
+     * Eigenen Storage-Adapter registrieren
+     * factory(storageOptions) muss ein Objekt mit get/set/remove/list liefern
+     */
+    static registerStorageAdapter(name, factory) {
+        FreeformStateManager.storageAdapters[name] = factory;
+    }
+    
+    /**
+     * Öffentliche API Methoden
+     */
+    
+    // Formular (Element oder Selektor) zusätzlich verwalten, liefert die Form-ID
+    register(form) {
+        const element = typeof form === 'string' ? document.querySelector(form) : form;
+        if (!element) {
+            throw new Error(`Form not found: ${form}`);
+        }
+        return this.registerForm(element);
+    }
+    
+    // Formular (ID oder Element) freigeben, offene Änderungen werden vorher gesichert
+    unregister(form) {
+        const formData = typeof form === 'string' ? this.forms.get(form) : this.getFormDataByElement(form);
+        if (!formData) return Promise.resolve();
+        
+        const pending = formData.dirty.size > 0 || this.pendingSaves.has(formData.id) ?
+            this.saveFormState(formData.id) : Promise.resolve();
+        this.unregisterForm(formData.id);
+        
+        return pending;
+    }
+    
+    // Instanz beenden: offene Änderungen sichern, alle Listener, Observer und Timer entfernen
+    // Danach nicht weiterverwenden, sondern bei Bedarf eine neue Instanz erzeugen
+    destroy() {
+        if (this.destroyed) return;
+        
+        this.flushPendingSaves();
+        Array.from(this.forms.keys()).forEach(formId => this.unregisterForm(formId));
+        
+        [...this.navigationDetachers, ...this.consentDetachers, ...this.globalDetachers].forEach(detach => detach());
+        this.navigationDetachers = [];
+        this.consentDetachers = [];
+        this.globalDetachers = [];
+        this.channel = null;
+        
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        
+        if (this.idleHandle !== null) {
+            if (typeof window.cancelIdleCallback === 'function') {
+                window.cancelIdleCallback(this.idleHandle);
+            } else {
+                clearTimeout(this.idleHandle);
+            }
+            this.idleHandle = null;
+        }
+        clearTimeout(this.budgetTimer);
+        
+        if (this.remoteSync) this.remoteSync.destroy();
+        if (this.submissionQueue) this.submissionQueue.destroy();
+        if (this.analytics) this.analytics.destroy();
+        
+        this.destroyed = true;
+        this.initialized = false;
+        
+        if (this.options.debug) {
+            console.log('🧹 FreeformStateManager destroyed');
+        }
+    }
+    
+    // Manuell speichern
+    save(formId) {
+        if (formId) {
+            return this.saveFormState(formId);
+        }
+        return Promise.all(Array.from(this.forms.keys()).map(id => this.saveFormState(id)));
+    }
+    
+    // Manuell wiederherstellen
+    restore(formId) {
+        if (formId) {
+            return this.restoreFormState(formId);
+        }
+        return Promise.all(Array.from(this.forms.keys()).map(id => this.restoreFormState(id)));
+    }
+    
+    // State löschen
+    clear(formId) {
+        if (formId) {
+            return this.clearFormState(formId);
+        }
+        return Promise.all(Array.from(this.forms.keys()).map(id => this.clearFormState(id)));
+    }
+    
+    // Einwilligung erteilen: gepufferte Drafts dauerhaft speichern
+    async grantConsent() {
+        if (this.consent) return;
+        
+        // Sofort umschalten, damit neue Zugriffe schon den echten Storage nutzen
+        const memory = this.storage;
+        const memoryFiles = this.fileStorage;
+        this.consent = true;
+        this.storage = null;
+        this.fileStorage = null;
+        
+        const prefix = this.options.storagePrefix;
+        const buffered = memory ? await memory.list(prefix) : [];
+        
+        try {
+            for (const key of buffered) {
+                await this.getStorage().set(key, await memory.get(key));
+            }
+            
+            if (memoryFiles && this.options.persistFiles) {
+                for (const key of await memoryFiles.list(prefix)) {
+                    await this.getFileStorage().set(key, await memoryFiles.get(key));
+                }
+            }
+            
+            if (this.submissionQueue) {
+                await this.submissionQueue.setStorage(this.createOutboxStorage());
+            }
+        } catch (error) {
+            this.reportError(null, 'consent', error, '❌ Error persisting buffered drafts:');
+        }
+        
+        if (this.options.debug) {
+            console.log(`✅ Consent granted, ${buffered.length} buffered drafts persisted`);
+        }
+        
+        if (this.analytics && this.analytics.stopped) {
+            this.analytics.start();
+            this.forms.forEach((formData, formId) => this.analytics.track(formId, formData.element));
+        }
+        
+        this.emit('consentGranted', null, { buffered }, false);
+        
+        if (this.options.sweepOnInit) {
+            await this.sweepStorage();
+        }
+        
+        // Unberührte Formulare aus früheren Besuchen befüllen
+        this.forms.forEach((formData, formId) => {
+            if (!buffered.includes(formData.storageKey)) this.startRestore(formId);
+        });
+    }
+    
+    // Einwilligung widerrufen: auf den Arbeitsspeicher umschalten, dann alle Drafts löschen
+    async revokeConsent() {
+        // Zuerst umschalten, damit laufende Saves nicht mehr in den echten Storage schreiben
+        this.consent = false;
+        this.storage = new MemoryStorageAdapter();
+        this.fileStorage = new MemoryStorageAdapter();
+        
+        if (this.submissionQueue) {
+            this.submissionQueue.storage = this.createOutboxStorage();
+        }
+        
+        if (this.analytics) this.analytics.stop();
+        
+        const removed = await this.purge();
+        
+        if (this.options.debug) {
+            console.log(`🚫 Consent revoked, ${removed.length} entries purged`);
+        }
+        
+        this.emit('consentRevoked', null, { removed }, false);
+    }
+    
+    // Alle Einträge mit storagePrefix löschen (alle Formulare, nicht nur die auf dieser Seite)
+    async purge() {
+        const prefix = this.options.storagePrefix;
+        const removed = [];
+        const adapters = new Set([this.storage, this.fileStorage].filter(Boolean));
+        
+        // Wartende Submits enthalten ebenfalls Formulardaten (auch ohne aktuelle Einwilligung gespeicherte)
+        const outbox = this.options.offlineQueue === true ? {} : this.options.offlineQueue;
+        if (this.submissionQueue && this.submissionQueue.storage) adapters.add(this.submissionQueue.storage);
+        
+        // Konfigurierte Storages plus Web Storage (z.B. nach Wechsel des storageType)
+        [
+            [this.options.storageType, this.options.storageOptions],
+            [this.options.fileStorageType, this.options.fileStorageOptions],
+            outbox ? [outbox.storageType || 'indexedDB', outbox.storageOptions || { dbName: 'freeform_state_outbox' }] : null,
+            ['localStorage', {}],
+            ['sessionStorage', {}]
+        ].filter(Boolean).forEach(([type, adapterOptions]) => {
+            try {
+                adapters.add(this.createStorageAdapter(type, adapterOptions));
+            } catch (error) {
+                // Storage nicht verfügbar (z.B. blockierte Cookies)
+            }
+        });
+        
+        for (const adapter of adapters) {
+            try {
+                for (const key of await adapter.list(prefix)) {
+                    // Server-Kopie im Hintergrund löschen, lokal sofort
+                    this.removeRemoteDraft(await adapter.get(key));
+                    await adapter.remove(key);
+                    removed.push(key);
+                }
+            } catch (error) {
+                this.reportError(null, 'purge', error, '❌ Error purging storage:');
+            }
+        }
+        
+        // Sync-Queue auch im Arbeitsspeicher leeren (Löschaufträge bleiben), Pro-Session-Schlüssel vergessen
+        if (this.remoteSync) this.remoteSync.clearQueue();
+        if (this.cipher) this.cipher.forgetSessionKey();
+        
+        this.forms.forEach(formData => {
+            clearTimeout(formData.remoteTimer);
+            formData.resumeToken = null;
+            formData.fileSignature = null;
+        });
+        
+        this.emit('purged', null, { removed }, false);
+        return removed;
+    }
+    
+    // Wartende Offline-Submits: [{ key, formId, queuedAt, attempts }]
+    async getQueuedSubmissions() {
+        if (!this.submissionQueue) return [];
+        
+        const items = await this.submissionQueue.list();
+        return items.map(({ id, key, formId, queuedAt, attempts }) => ({ id, key, formId, queuedAt, attempts }));
+    }
+    
+    // Wartende Offline-Submits sofort senden (sonst beim nächsten online-Event)
+    sendQueuedSubmissions() {
+        return this.submissionQueue ? this.submissionQueue.flush() : Promise.resolve();
+    }
+    
+    // Gespeicherte Versionen eines Formulars (neueste zuerst)
+    async getSnapshots(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return [];
+        
+        const snapshots = await this.readHistory(formData);
+        return snapshots.reverse().map(({ id, timestamp, step }) => ({ id, timestamp, step }));
+    }
+    
+    // Bestimmte Version wiederherstellen (nur für die aktuell angezeigte Seite)
+    async restoreSnapshot(formId, snapshotId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return false;
+        
+        try {
+            const snapshot = (await this.readHistory(formData)).find(item => item.id === snapshotId);
+            if (!snapshot || snapshot.step !== this.getFormStep(formData.element)) return false;
+            
+            return await this.applySnapshot(formId, snapshot);
+            
+        } catch (error) {
+            this.reportError(formId, 'history', error, '❌ Error restoring snapshot:');
+            return false;
+        }
+    }
+    
+    // Eine Version zurück (wiederholt aufrufbar, neue Eingaben setzen den Zeiger zurück)
+    async undo(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData) return false;
+        
+        try {
+            const step = this.getFormStep(formData.element);
+            const readSnapshots = async () => (await this.readHistory(formData)).filter(snapshot => snapshot.step === step);
+            let snapshots = await readSnapshots();
+            let index = formData.historyIndex;
+            
+            if (index === null) {
+                // Aktuellen Stand vor dem ersten Undo speichern (der bisherige Draft wandert in
+                // die Historie) und selbst sichern, damit redo() ihn zurückholen kann
+                await this.saveFormState(formId);
+                const current = { state: this.extractFormState(formData.element), timestamp: Date.now() };
+                await this.recordSnapshot(formData, step, current, null, true);
+                snapshots = await readSnapshots();
+                index = snapshots.length - 1;
+            }
+            
+            if (index - 1 < 0) return false;
+            
+            const restored = await this.applySnapshot(formId, snapshots[index - 1]);
+            if (restored) formData.historyIndex = index - 1;
+            return restored;
+            
+        } catch (error) {
+            this.reportError(formId, 'history', error, '❌ Error undoing form changes:');
+            return false;
+        }
+    }
+    
+    // Undo rückgängig machen (bis zum Stand vor dem ersten Undo)
+    async redo(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData || formData.historyIndex === null) return false;
+        
+        try {
+            const step = this.getFormStep(formData.element);
+            const snapshots = (await this.readHistory(formData)).filter(snapshot => snapshot.step === step);
+            const index = formData.historyIndex + 1;
+            if (index >= snapshots.length) return false;
+            
+            const restored = await this.applySnapshot(formId, snapshots[index]);
+            if (restored) formData.historyIndex = index;
+            return restored;
+            
+        } catch (error) {
+            this.reportError(formId, 'history', error, '❌ Error redoing form changes:');
+            return false;
+        }
+    }
+    
+    // Lifecycle-Listener registrieren, liefert eine Abmelde-Funktion
+    on(name, handler) {
+        if (!this.listeners.has(name)) this.listeners.set(name, []);
+        this.listeners.get(name).push(handler);
+        
+        return () => this.off(name, handler);
+    }
+    
+    // Lifecycle-Listener entfernen
+    off(name, handler) {
+        const handlers = this.listeners.get(name);
+        if (handlers) {
+            this.listeners.set(name, handlers.filter(h => h !== handler));
+        }
+    }
+    
+    // Transform-Hook registrieren: 'save' (vor dem Schreiben) oder 'restore' (nach dem Lesen)
+    addHook(name, hook) {
+        if (!this.hooks[name]) {
+            throw new Error(`Unknown hook: ${name}`);
+        }
+        this.hooks[name].push(hook);
+        
+        return () => {
+            this.hooks[name] = this.hooks[name].filter(h => h !== hook);
+        };
+    }
+    
+    // "Später fortsetzen"-Link erzeugen (synchronisiert den Draft vorher)
+    async getResumeLink(formId) {
+        const formData = this.forms.get(formId);
+        if (!formData || !this.remoteSync) return null;
+        
+        await this.saveFormState(formId);
+        clearTimeout(formData.remoteTimer);
+        
+        // Bereits laufenden Sync (nach dem Speichern gestartet) mitnutzen
+        const token = await (formData.remotePush || this.pushRemote(formData));
+        if (!token) return null;
+        
+        const url = new URL(window.location.href);
+        url.searchParams.set(this.options.resumeParam, token);
+        return url.toString();
+    }
+    
+    // Migration für geänderte Formulare registrieren (schemaMismatch: 'migrate')
+    addMigration(formId, migration) {
+        if (!this.migrations.has(formId)) this.migrations.set(formId, []);
+        this.migrations.get(formId).push(migration);
+    }
+    
+    // Aktuelle Seite eines mehrseitigen Formulars
+    getCurrentStep(formId) {
+        const formData = this.forms.get(formId);
+        return formData ? this.getFormStep(formData.element) : null;
+    }
+    
+    // Debugging Info (async, da Adapter asynchron sein können)
+    async getDebugInfo() {
+        const info = {
+            forms: Array.from(this.forms.keys()),
+            options: this.options,
+            consent: this.consent,
+            analytics: this.analytics ? this.analytics.getSessions() : null,
+            steps: {},
+            schema: {},
+            identity: {},
+            timings: {},
+            storage: {},
+            storedKeys: []
+        };
+        
+        this.forms.forEach((formData, formId) => {
+            info.steps[formId] = this.getFormStep(formData.element);
+            info.schema[formId] = {
+                fingerprint: this.getFormSchema(formData.element).fingerprint,
+                mismatch: formData.schemaReport
+            };
+            info.identity[formId] = { ...formData.identity, storageKey: formData.storageKey };
+            info.timings[formId] = {
+                ...formData.timings,
+                averageDuration: formData.timings.saves ? formData.timings.totalDuration / formData.timings.saves : null,
+                dirtyFields: Array.from(formData.dirty),
+                pending: this.pendingSaves.has(formId)
+            };
+        });
+        
+        const storage = this.getStorage();
+        
+        await Promise.all(Array.from(this.forms.entries()).map(async ([formId, formData]) => {
+            try {
+                info.storage[formId] = await this.readEntry(formData.storageKey);
+            } catch (error) {
+                info.storage[formId] = 'Error loading';
+            }
+        }));
+        
+        try {
+            info.storedKeys = await storage.list(this.options.storagePrefix);
+        } catch (error) {
+            info.storedKeys = 'Error loading';
+        }
+        
+        return info;
+    }
+}
+
+/**
+ * 💾 Storage-Adapter
+ * Gemeinsame Schnittstelle aller Speicher-Backends:
+ * get(key), set(key, value), remove(key), list(prefix)
+ * Jede Methode darf direkt oder als Promise antworten.
+ */
+
+/**
+ * Adapter für die Web Storage API (localStorage / sessionStorage)
+ */
+class WebStorageAdapter {
+    constructor(storage) {
+        this.storage = storage;
+        this.sync = true; // erlaubt synchrones Speichern beim Verlassen der Seite
+    }
+    
+    get(key) {
+        const raw = this.storage.getItem(key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+    
+    set(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+    
+    remove(key) {
+        this.storage.removeItem(key);
+    }
+    
+    list(prefix = '') {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key !== null && key.startsWith(prefix)) keys.push(key);
+        }
+        return keys;
+    }
+}
+
+/**
+ * In-Memory Adapter (flüchtig, z.B. für Tests oder ohne Storage-Zugriff)
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.store = new Map();
+        this.sync = true;
+    }
+    
+    get(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+    
+    set(key, value) {
+        this.store.set(key, value);
+    }
+    
+    remove(key) {
+        this.store.delete(key);
+    }
+    
+    list(prefix = '') {
+        return Array.from(this.store.keys()).filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ * IndexedDB Adapter
+ * Kein 5-MB-Limit und speichert strukturierte Daten (z.B. Blobs) ohne JSON-Umweg
+ */
+class IndexedDBStorageAdapter {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'freeform_state';
+        this.storeName = options.storeName || 'states';
+        this.dbPromise = null;
+    }
+    
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Nächster Aufruf darf es erneut versuchen
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    async request(mode, callback) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    async get(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+    
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+    
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+    
+    async list(prefix = '') {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.filter(key => typeof key === 'string' && key.startsWith(prefix));
+    }
+}
+
+/**
+ * 🔐 AES-GCM Verschlüsselung (Web Crypto) für gespeicherte Drafts
+ * Schlüssel: CryptoKey, Base64-String, ArrayBuffer oder eine Funktion,
+ * die eines davon (auch als Promise) liefert. Ohne Schlüssel wird ein
+ * Session-Schlüssel erzeugt und im sessionStorage gehalten.
+ * Jeder verschlüsselte Inhalt trägt eine Schlüssel-Kennung (kid, gekürzter SHA-256
+ * des Schlüssels), damit Einträge anderer Tabs/Sitzungen erkannt und nicht gelöscht werden.
+ * Web Crypto arbeitet nur asynchron: Beim Verlassen der Seite (pagehide) kann der
+ * Browser den letzten Save abbrechen. Unverschlüsselt zwischengepuffert wird bewusst
+ * nichts, verloren gehen höchstens die Eingaben seit dem letzten Autosave (saveDelay).
+ */
+class StateCipher {
+    constructor(options = {}) {
+        this.options = {
+            key: null,
+            keyId: null, // Kennung für nicht exportierbare CryptoKeys
+            sessionKeyName: 'freeformStateSessionKey',
+            ...options
+        };
+        this.keyPromise = null;
+    }
+    
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadKey(this.options.key).catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+    
+    /**
+     * Liefert { key, id }
+     */
+    async loadKey(source) {
+        if (typeof source === 'function') {
+            source = await source();
+        }
+        if (source) {
+            return this.importKey(source);
+        }
+        
+        // Pro-Session-Schlüssel: endet mit dem Tab, danach sind Drafts unlesbar
+        const stored = sessionStorage.getItem(this.options.sessionKeyName);
+        if (stored) {
+            return this.importKey(stored);
+        }
+        
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const raw = await crypto.subtle.exportKey('raw', key);
+        sessionStorage.setItem(this.options.sessionKeyName, StateCipher.toBase64(raw));
+        return { key, id: await StateCipher.getKeyId(raw) };
+    }
+    
+    async importKey(source) {
+        if (typeof CryptoKey !== 'undefined' && source instanceof CryptoKey) {
+            const id = this.options.keyId || (source.extractable ?
+                await StateCipher.getKeyId(await crypto.subtle.exportKey('raw', source)) : null);
+            return { key: source, id };
+        }
+        
+        const raw = typeof source === 'string' ? StateCipher.fromBase64(source) : source;
+        return {
+            key: await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']),
+            id: this.options.keyId || await StateCipher.getKeyId(raw)
+        };
+    }
+    
+    /**
+     * Wurde der Inhalt mit dem aktuellen Schlüssel verschlüsselt?
+     * Ohne Kennung (ältere Einträge, nicht exportierbare Schlüssel) nicht feststellbar → false
+     */
+    async isOwnPayload(payload) {
+        if (!payload || !payload.kid) return false;
+        
+        const { id } = await this.getKey();
+        return payload.kid === id;
+    }
+    
+    setKey(source) {
+        if (!source) {
+            sessionStorage.removeItem(this.options.sessionKeyName);
+        }
+        this.options.key = source || null;
+        this.keyPromise = null;
+    }
+    
+    /**
+     * Pro-Session-Schlüssel verwerfen (Purge), ein übergebener Schlüssel bleibt gültig
+     */
+    forgetSessionKey() {
+        try {
+            sessionStorage.removeItem(this.options.sessionKeyName);
+        } catch (error) {
+            // Storage nicht verfügbar
+        }
+        if (!this.options.key) this.keyPromise = null;
+    }
+    
+    async encryptBytes(bytes) {
+        const { key, id } = await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv: StateCipher.toBase64(iv), data, kid: id };
+    }
+    
+    async decryptBytes(payload) {
+        const { key } = await this.getKey();
+        const iv = StateCipher.fromBase64(payload.iv);
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, payload.data);
+    }
+    
+    async encrypt(value) {
+        const bytes = new TextEncoder().encode(JSON.stringify(value));
+        const { iv, data, kid } = await this.encryptBytes(bytes);
+        return { iv, data: StateCipher.toBase64(data), kid };
+    }
+    
+    async decrypt(payload) {
+        const bytes = await this.decryptBytes({
+            iv: payload.iv,
+            data: StateCipher.fromBase64(payload.data)
+        });
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+    
+    /**
+     * Kennung eines Schlüssels: die ersten 8 Bytes seines SHA-256 (verrät den Schlüssel nicht)
+     */
+    static async getKeyId(raw) {
+        const digest = await crypto.subtle.digest('SHA-256', raw);
+        return StateCipher.toBase64(digest.slice(0, 8));
+    }
+    
+    static toBase64(buffer) {
+        const bytes = ArrayBuffer.isView(buffer) ?
+            new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+            new Uint8Array(buffer);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+    
+    static fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+/**
+ * ☁️ Server-Sync für Drafts (optional)
+ * Protokoll (z.B. als Craft Controller-Action umsetzbar):
+ *   POST   endpoint  { key, token, entry }  → { token }
+ *   GET    endpoint?token=…                 → { key, entry }
+ *   DELETE endpoint?token=…
+ * Fehlgeschlagene Aufrufe werden mit Backoff wiederholt und offline in
+ * einer Queue gehalten. Die Queue enthält nur Keys – der Inhalt wird beim
+ * Senden frisch aus dem lokalen Storage gelesen. Der Server erhält den
+ * Draft unverschlüsselt, damit er auf anderen Geräten lesbar ist.
+ */
+class RemoteSyncClient {
+    constructor(options = {}, callbacks = {}) {
+        this.options = {
+            endpoint: null,
+            delay: 2000,
+            retries: 3,
+            retryDelay: 1000,
+            csrfTokenName: 'CRAFT_CSRF_TOKEN',
+            csrfToken: null, // String oder () => String | Promise
+            headers: {},
+            queueKey: 'freeform_state_sync_queue', // der Manager leitet ihn aus storagePrefix ab
+            fetch: null,
+            ...options
+        };
+        
+        if (!this.options.endpoint) {
+            throw new Error('remoteSync.endpoint is required');
+        }
+        
+        this.getEntry = callbacks.getEntry || (() => null);
+        this.onSynced = callbacks.onSynced || (() => {});
+        this.canPersist = callbacks.canPersist || (() => true);
+        this.queue = this.loadQueue();
+        this.timers = new Set();
+        this.detachOnline = FreeformStateManager.listen(window, 'online', () => this.flush());
+        this.flush();
+    }
+    
+    /**
+     * Listener entfernen und wartende Wiederholungen abbrechen (die Queue bleibt gespeichert)
+     */
+    destroy() {
+        this.detachOnline();
+        this.timers.forEach(cancel => cancel());
+        this.timers.clear();
+    }
+    
+    /**
+     * Wartezeit vor einer Wiederholung, destroy() bricht sie ab
+     */
+    sleep(delay) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.timers.delete(cancel);
+                resolve();
+            }, delay);
+            const cancel = () => {
+                clearTimeout(timer);
+                const error = new Error('Remote sync cancelled');
+                error.cancelled = true;
+                reject(error);
+            };
+            this.timers.add(cancel);
+        });
+    }
+    
+    async push(key, token) {
+        if (navigator.onLine === false) {
+            this.enqueue({ action: 'push', key, token });
+            return null;
+        }
+        
+        try {
+            const entry = await this.getEntry(key);
+            if (!entry) return null;
+            
+            const result = await this.request('POST', { key, token, entry: this.serializeEntry(entry) });
+            const newToken = (result && result.token) || token;
+            
+            this.queue.delete(key);
+            this.saveQueue();
+            await this.onSynced(key, newToken);
+            return newToken;
+            
+        } catch (error) {
+            if (!error.permanent) this.enqueue({ action: 'push', key, token });
+            throw error;
+        }
+    }
+    
+    pull(token) {
+        return this.request('GET', null, { token });
+    }
+    
+    async remove(token) {
+        if (navigator.onLine === false) {
+            this.enqueue({ action: 'remove', key: `remove:${token}`, token });
+            return;
+        }
+        
+        try {
+            await this.request('DELETE', null, { token });
+        } catch (error) {
+            if (!error.permanent) this.enqueue({ action: 'remove', key: `remove:${token}`, token });
+            throw error;
+        }
+    }
+    
+    /**
+     * Nur serialisierbare Teile senden (ohne lokalen Token)
+     */
+    serializeEntry(entry) {
+        const { resumeToken, ...rest } = entry;
+        return JSON.parse(JSON.stringify(rest));
+    }
+    
+    async getCsrfToken() {
+        const { csrfToken, csrfTokenName } = this.options;
+        
+        if (typeof csrfToken === 'function') return csrfToken();
+        if (csrfToken) return csrfToken;
+        
+        const field = document.querySelector(`input[name="${csrfTokenName}"]`);
+        if (field) return field.value;
+        
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        return meta ? meta.getAttribute('content') : null;
+    }
+    
+    async request(method, body, params = {}) {
+        const url = new URL(this.options.endpoint, window.location.href);
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        
+        const headers = { Accept: 'application/json', ...this.options.headers };
+        const csrf = method === 'GET' ? null : await this.getCsrfToken();
+        if (csrf) headers['X-CSRF-Token'] = csrf;
+        
+        let payload;
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+            // CSRF nur im Request, nie im gespeicherten State (siehe excludeFields)
+            payload = JSON.stringify(csrf ? { ...body, [this.options.csrfTokenName]: csrf } : body);
+        }
+        
+        const fetchFn = this.options.fetch || window.fetch.bind(window);
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await fetchFn(url.toString(), {
+                    method,
+                    headers,
+                    body: payload,
+                    credentials: 'same-origin'
+                });
+                
+                if (response.ok) {
+                    const text = await response.text();
+                    return text ? JSON.parse(text) : null;
+                }
+                
+                const error = new Error(`Remote sync failed: HTTP ${response.status}`);
+                error.status = response.status;
+                // 4xx (außer 429) wird durch Wiederholen nicht besser
+                error.permanent = response.status < 500 && response.status !== 429;
+                throw error;
+                
+            } catch (error) {
+                if (error.permanent || attempt >= this.options.retries) throw error;
+                await this.sleep(this.options.retryDelay * Math.pow(2, attempt));
+            }
+        }
+    }
+    
+    enqueue(item) {
+        this.queue.set(item.key, item);
+        this.saveQueue();
+    }
+    
+    async flush() {
+        if (this.flushing || this.queue.size === 0 || navigator.onLine === false) return;
+        this.flushing = true;
+        
+        try {
+            for (const item of Array.from(this.queue.values())) {
+                this.queue.delete(item.key);
+                this.saveQueue();
+                
+                try {
+                    if (item.action === 'remove') {
+                        await this.remove(item.token);
+                    } else {
+                        await this.push(item.key, item.token);
+                    }
+                } catch (error) {
+                    // Bleibt in der Queue für den nächsten online-Event
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+    
+    loadQueue() {
+        try {
+            const raw = localStorage.getItem(this.options.queueKey);
+            return new Map(raw ? JSON.parse(raw) : []);
+        } catch (error) {
+            return new Map();
+        }
+    }
+    
+    saveQueue() {
+        if (!this.canPersist()) return;
+        
+        try {
+            localStorage.setItem(this.options.queueKey, JSON.stringify(Array.from(this.queue.entries())));
+        } catch (error) {
+            // Queue bleibt im Speicher
+        }
+    }
+    
+    /**
+     * Gespeicherte Queue löschen (Purge): ausstehende Uploads entfallen,
+     * Löschaufträge für Server-Kopien bleiben im Arbeitsspeicher
+     */
+    clearQueue() {
+        Array.from(this.queue.values()).forEach(item => {
+            if (item.action !== 'remove') this.queue.delete(item.key);
+        });
+        
+        try {
+            localStorage.removeItem(this.options.queueKey);
+        } catch (error) {
+            // Storage nicht verfügbar
+        }
+        
+        this.saveQueue();
+    }
+}
+
+/**
+ * 📮 Warteschlange für Offline-Submits (optional)
+ * Ohne Verbindung abgeschickte Formulare werden samt Dateien gespeichert und
+ * gesendet, sobald wieder eine Verbindung besteht (online-Event, Seitenaufruf,
+ * sonst alle retryInterval ms). Das CSRF-Token im Payload ist bis dahin meist
+ * abgelaufen und wird vorher neu geholt (Craft: actions/users/session-info).
+ *
+ * Jeder Submit wird vor dem Senden beansprucht (Web Locks, sonst Lease im Storage),
+ * damit ihn andere Tabs oder Instanzen nicht ein zweites Mal senden, und trägt einen
+ * Idempotency-Key. Ist der Request einmal abgeschickt, wird er nicht automatisch
+ * wiederholt: ohne eindeutige Antwort gilt er als 'unconfirmed', der Draft bleibt erhalten.
+ *
+ * Mit encryption liegen Feldwerte und Dateien nur verschlüsselt im Ausgang. Formulare mit
+ * ausgefüllten Feldern, die nicht gespeichert werden dürfen (Passwörter, Kartennummern,
+ * excludeFields), puffert der Manager gar nicht.
+ */
+class SubmissionQueue {
+    constructor(options = {}, callbacks = {}) {
+        this.options = {
+            csrfUrl: '/actions/users/session-info', // liefert { csrfTokenName, csrfTokenValue }
+            csrfTokenName: 'CRAFT_CSRF_TOKEN',
+            retryInterval: 60 * 1000, // erneuter Versuch, solange nichts gesendet wurde (offline, 429, 503)
+            leaseTime: 30 * 1000, // Beanspruchung eines Submits ohne Web Locks, danach darf ein anderer Tab
+            idempotencyHeader: 'Idempotency-Key', // Header mit dem Schlüssel des Submits (null = keiner)
+            idempotencyField: null, // zusätzlich als Formularfeld, z.B. für einen Hidden-Field-Check im Backend
+            maxAge: 7 * 24 * 60 * 60 * 1000, // ältere Submits werden verworfen
+            storage: null, // Adapter, der Blobs speichern kann (ohne: keine Warteschlange)
+            cipher: null, // StateCipher: Feldwerte und Dateien nur verschlüsselt ablegen
+            fetch: null,
+            ...options
+        };
+        
+        this.storage = this.options.storage;
+        this.onStatus = callbacks.onStatus || (() => {});
+        this.owner = SubmissionQueue.createId();
+        this.retryTimer = null;
+        this.detachOnline = FreeformStateManager.listen(window, 'online', () => this.flush());
+    }
+    
+    /**
+     * Listener und Timer entfernen (die Warteschlange bleibt gespeichert)
+     */
+    destroy() {
+        this.detachOnline();
+        clearTimeout(this.retryTimer);
+    }
+    
+    /**
+     * Payload eines Formulars festhalten (inkl. Dateien und Submit-Button, ohne CSRF-Token)
+     */
+    createItem(formData, submitter) {
+        const form = formData.element;
+        const entries = Array.from(new FormData(form).entries())
+            .filter(([name]) => name !== this.options.csrfTokenName);
+        
+        if (submitter && submitter.name) {
+            entries.push([submitter.name, submitter.value]);
+        }
+        
+        return {
+            id: SubmissionQueue.createId(), // Idempotency-Key
+            key: formData.storageKey,
+            formId: formData.id,
+            action: new URL(form.getAttribute('action') || window.location.href, window.location.href).toString(),
+            entries: entries,
+            queuedAt: Date.now(),
+            attempts: 0,
+            claimedBy: null,
+            claimedAt: null,
+            dispatchedAt: null
+        };
+    }
+    
+    static createId() {
+        return window.crypto && crypto.randomUUID ?
+            crypto.randomUUID() : Date.now().toString(36) + Math.random().toString(36).substr(2, 12);
+    }
+    
+    /**
+     * Submit ablegen, ein neuerer Submit desselben Formulars ersetzt den alten
+     */
+    async enqueue(item) {
+        if (!this.storage) {
+            throw new Error('No outbox storage available');
+        }
+        await this.storage.set(item.key, await this.packItem(item));
+    }
+    
+    /**
+     * Mit cipher: Feldwerte (samt Dateinamen) und Datei-Inhalte verschlüsseln,
+     * lesbar bleiben nur die Verwaltungsdaten (Key, Zeitpunkte, Ziel-URL)
+     */
+    async packItem(item) {
+        const cipher = this.options.cipher;
+        if (!cipher) return item;
+        
+        const { entries, ...meta } = item;
+        const packed = [];
+        const files = [];
+        
+        for (const [name, value] of entries) {
+            if (typeof File !== 'undefined' && value instanceof File) {
+                packed.push([name, { file: files.length, name: value.name, type: value.type, lastModified: value.lastModified }]);
+                files.push(await cipher.encryptBytes(await value.arrayBuffer()));
+            } else {
+                packed.push([name, value]);
+            }
+        }
+        
+        return { ...meta, encrypted: await cipher.encrypt(packed), files };
+    }
+    
+    /**
+     * Gegenstück zu packItem(), liefert die Einträge oder null, wenn nicht entschlüsselbar
+     * (z.B. mit dem Pro-Session-Schlüssel eines anderen Tabs abgelegt)
+     */
+    async readEntries(item) {
+        if (!item.encrypted) return item.entries;
+        
+        const cipher = this.options.cipher;
+        if (!cipher) return null;
+        
+        try {
+            const entries = await cipher.decrypt(item.encrypted);
+            const result = [];
+            for (const [name, value] of entries) {
+                if (value && typeof value === 'object') {
+                    const bytes = await cipher.decryptBytes(item.files[value.file]);
+                    result.push([name, new File([bytes], value.name, { type: value.type, lastModified: value.lastModified })]);
+                } else {
+                    result.push([name, value]);
+                }
+            }
+            return result;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async list() {
+        const items = [];
+        if (!this.storage) return items;
+        
+        for (const key of await this.storage.list('')) {
+            const item = await this.storage.get(key);
+            if (item) items.push(item);
+        }
+        return items;
+    }
+    
+    /**
+     * Auf einen anderen Storage umziehen (z.B. nach erteilter Einwilligung)
+     */
+    async setStorage(storage) {
+        const items = await this.list();
+        const previous = this.storage;
+        this.storage = storage;
+        
+        // null schaltet die Warteschlange ab, wartende Submits bleiben im alten Storage
+        if (!storage) return;
+        
+        for (const item of items) {
+            await storage.set(item.key, item);
+            await previous.remove(item.key);
+        }
+    }
+    
+    /**
+     * Wartende Submits nacheinander senden
+     * Validierungsfehler und abgelaufene Submits fallen heraus. Was nachweislich nicht beim
+     * Server ankam (offline, 429, 503), bleibt liegen; alles andere wird nicht wiederholt.
+     */
+    async flush() {
+        if (this.flushing || navigator.onLine === false) return;
+        this.flushing = true;
+        clearTimeout(this.retryTimer);
+        let pending = false;
+        
+        try {
+            for (const item of await this.list()) {
+                const status = await this.claim(item, (claimed) => this.process(claimed));
+                if (status === 'queued') pending = true;
+            }
+        } finally {
+            this.flushing = false;
+        }
+        
+        if (pending && this.options.retryInterval) {
+            this.retryTimer = setTimeout(() => this.flush(), this.options.retryInterval);
+        }
+    }
+    
+    /**
+     * Submit exklusiv bearbeiten: per Web Lock und zusätzlich per Lease im Storage
+     * (Tabs ohne Web Locks, Instanzen mit eigener Queue auf demselben Storage)
+     * Liefert das Ergebnis von task oder null, wenn ein anderer den Submit bereits bearbeitet
+     */
+    async claim(item, task) {
+        const run = async () => {
+            // Aktuellen Stand lesen: gesendet, ersetzt oder von anderen beansprucht?
+            const current = await this.storage.get(item.key);
+            if (!current || current.id !== item.id) return null;
+            if (current.claimedBy && current.claimedBy !== this.owner &&
+                Date.now() - current.claimedAt < this.options.leaseTime) return null;
+            
+            const claimedAt = Date.now();
+            await this.storage.set(item.key, { ...current, claimedBy: this.owner, claimedAt });
+            
+            // Gleichzeitig geschriebene Leases: nur einer liest seine eigene zurück
+            const check = await this.storage.get(item.key);
+            if (!check || check.claimedBy !== this.owner || check.claimedAt !== claimedAt) return null;
+            
+            return task(check);
+        };
+        
+        if (navigator.locks && navigator.locks.request) {
+            return navigator.locks.request(`freeform_state_outbox:${item.key}`, { ifAvailable: true },
+                (lock) => lock ? run() : null);
+        }
+        
+        return run();
+    }
+    
+    /**
+     * Beanspruchten Submit senden, Status: 'sent', 'failed', 'expired', 'queued' oder 'unconfirmed'
+     * (null, wenn er einem anderen Tab überlassen wird)
+     */
+    async process(item) {
+        // Bereits abgeschickt (z.B. Tab während des Requests geschlossen): Ausgang unbekannt
+        if (item.dispatchedAt) {
+            await this.storage.remove(item.key);
+            await this.onStatus(item, 'unconfirmed', {});
+            return 'unconfirmed';
+        }
+        
+        if (Date.now() - item.queuedAt > this.options.maxAge) {
+            await this.storage.remove(item.key);
+            await this.onStatus(item, 'expired', {});
+            return 'expired';
+        }
+        
+        // Nicht entschlüsselbar: gehört einem anderen Tab, der ihn selbst sendet
+        const entries = await this.readEntries(item);
+        if (!entries) {
+            await this.storage.set(item.key, { ...item, claimedBy: null, claimedAt: null });
+            return null;
+        }
+        
+        await this.onStatus(item, 'sending', {});
+        
+        try {
+            const response = await this.send(item, entries);
+            await this.storage.remove(item.key);
+            await this.onStatus(item, 'sent', { response });
+            return 'sent';
+            
+        } catch (error) {
+            if (error.notSent) {
+                item.attempts++;
+                await this.storage.set(item.key, { ...item, claimedBy: null, claimedAt: null, dispatchedAt: null });
+                await this.onStatus(item, 'queued', { error });
+                return 'queued';
+            }
+            
+            await this.storage.remove(item.key);
+            if (error.permanent) {
+                await this.onStatus(item, 'failed', { error, response: error.response || null });
+                return 'failed';
+            }
+            
+            await this.onStatus(item, 'unconfirmed', { error });
+            return 'unconfirmed';
+        }
+    }
+    
+    /**
+     * Ein Submit als Freeform-AJAX-Request (JSON-Antwort mit success/errors)
+     * Fehler mit notSent = true kamen nachweislich nicht beim Server an,
+     * permanent = true heißt abgelehnt (Validierung, 4xx)
+     */
+    async send(item, entries = item.entries) {
+        const fetchFn = this.options.fetch || window.fetch.bind(window);
+        const { idempotencyHeader, idempotencyField } = this.options;
+        
+        const body = new FormData();
+        entries.forEach(([name, value]) => body.append(name, value));
+        if (idempotencyField) body.append(idempotencyField, item.id);
+        
+        const csrf = await this.getCsrfToken(fetchFn);
+        if (csrf) body.append(csrf.name, csrf.value);
+        
+        const headers = { Accept: 'application/json', 'X-Requested-With': 'XMLHttpRequest' };
+        if (idempotencyHeader) headers[idempotencyHeader] = item.id;
+        
+        if (navigator.onLine === false) {
+            const error = new Error('Queued submission not sent: offline');
+            error.notSent = true;
+            throw error;
+        }
+        
+        // Ab hier kann der Request beim Server ankommen: vermerken, bevor er abgeht
+        await this.storage.set(item.key, { ...item, dispatchedAt: Date.now() });
+        
+        const response = await fetchFn(item.action, {
+            method: 'POST',
+            body,
+            headers,
+            credentials: 'same-origin'
+        });
+        
+        const text = await response.text();
+        let result = null;
+        try {
+            result = text ? JSON.parse(text) : null;
+        } catch (error) {
+            // Kein JSON (z.B. Redirect auf eine Erfolgsseite)
+        }
+        
+        if (response.ok && !(result && result.success === false)) return result;
+        
+        const error = new Error(`Queued submission failed: HTTP ${response.status}`);
+        error.status = response.status;
+        error.response = result;
+        // 429/503: vom Server abgewiesen, ohne verarbeitet zu werden
+        error.notSent = response.status === 429 || response.status === 503;
+        // Validierungsfehler und 4xx werden durch Wiederholen nicht besser
+        error.permanent = !error.notSent && (response.ok || response.status < 500);
+        throw error;
+    }
+    
+    /**
+     * Frisches CSRF-Token holen, sonst das der aktuellen Seite
+     */
+    async getCsrfToken(fetchFn) {
+        const { csrfUrl, csrfTokenName } = this.options;
+        
+        if (csrfUrl) {
+            try {
+                const response = await fetchFn(csrfUrl, {
+                    headers: { Accept: 'application/json' },
+                    credentials: 'same-origin'
+                });
+                const data = response.ok ? await response.json() : null;
+                if (data && data.csrfTokenValue) {
+                    return { name: data.csrfTokenName || csrfTokenName, value: data.csrfTokenValue };
+                }
+            } catch (error) {
+                // Fallback auf das Token der aktuellen Seite
+            }
+        }
+        
+        const field = document.querySelector(`input[name="${csrfTokenName}"]`);
+        return field && field.value ? { name: csrfTokenName, value: field.value } : null;
+    }
+}
+
+/**
+ * 📊 Formular-Analytics (Opt-in)
+ * Fokuszeit, Bearbeitungen, Wiederherstellungen, letztes Feld und Abschluss/Abbruch je Formular.
+ * Berichte enthalten nur Feldnamen, niemals Feldwerte.
+ */
+class FormAnalytics {
+    constructor(options = {}) {
+        this.options = {
+            sink: 'dataLayer', // Name aus FormAnalytics.sinks, Funktion oder Array davon
+            endpoint: null, // für den beacon-Sink
+            eventName: 'freeform_state', // event-Name im dataLayer bzw. im Bericht
+            ...options
+        };
+        
+        this.sessions = new Map();
+        this.stopped = false;
+        this.detachPageHide = FreeformStateManager.listen(window, 'pagehide', () => this.flush());
+    }
+    
+    /**
+     * Formular beobachten (delegierte Listener, nur Feldnamen)
+     */
+    track(formId, form) {
+        this.untrack(formId);
+        if (this.stopped) return;
+        
+        const session = this.createSession(formId);
+        const fieldName = (event) => (event.target && event.target.name) || null;
+        const handlers = {
+            focusin: (event) => {
+                const name = fieldName(event);
+                if (!name) return;
+                
+                const field = this.getField(session, name);
+                field.focusCount++;
+                field.focusedAt = Date.now();
+                session.lastField = name;
+            },
+            focusout: (event) => {
+                const name = fieldName(event);
+                if (name) this.blurField(this.getField(session, name));
+            },
+            input: (event) => {
+                const name = fieldName(event);
+                if (!name) return;
+                
+                // Eine Bearbeitung pro Fokus, nicht pro Tastendruck
+                const field = this.getField(session, name);
+                if (!field.editing) {
+                    field.edits++;
+                    field.editing = true;
+                }
+                session.lastField = name;
+            }
+        };
+        
+        Object.entries(handlers).forEach(([type, handler]) => form.addEventListener(type, handler));
+        session.detach = () => {
+            Object.entries(handlers).forEach(([type, handler]) => form.removeEventListener(type, handler));
+        };
+        
+        this.sessions.set(formId, session);
+    }
+    
+    /**
+     * Beobachtung beenden und offene Sitzung melden
+     */
+    untrack(formId) {
+        const session = this.sessions.get(formId);
+        if (!session) return;
+        
+        this.finish(formId);
+        session.detach();
+        this.sessions.delete(formId);
+    }
+    
+    createSession(formId) {
+        return {
+            formId,
+            startedAt: Date.now(),
+            lastField: null,
+            submitted: false,
+            counters: { restores: 0, undos: 0, prompts: 0, submitErrors: 0 },
+            fields: {},
+            detach: () => {}
+        };
+    }
+    
+    getField(session, name) {
+        if (!session.fields[name]) {
+            session.fields[name] = { focusTime: 0, focusCount: 0, edits: 0, focusedAt: null, editing: false };
+        }
+        return session.fields[name];
+    }
+    
+    blurField(field) {
+        if (field.focusedAt) {
+            field.focusTime += Date.now() - field.focusedAt;
+            field.focusedAt = null;
         }
+        field.editing = false;
+    }
+    
+    count(formId, counter) {
+        const session = this.sessions.get(formId);
+        if (session) session.counters[counter]++;
+    }
+    
+    markSubmitted(formId) {
+        const session = this.sessions.get(formId);
+        if (session) session.submitted = true;
     }
     
     /**
-     * Form Submit Handler
+     * Sitzung abschließen und berichten
+     * Ohne Typ: 'submitted' (Ergebnis folgt nach dem Reload), 'abandoned' nach Interaktion, sonst nichts
      */
-    handleFormSubmit(formId, event) {
-        if (this.options.clearOnSubmit) {
-            // Nach erfolgreichem Submit löschen
-            setTimeout(() => {
-                // Prüfen ob noch auf derselben Seite (kein Redirect)
-                if (document.querySelector(`#${formId}`) || document.querySelector(`[name="${formId}"]`)) {
-                    // Vermutlich Validierungsfehler, State behalten
-                    return;
-                }
-                this.clearFormState(formId);
-            }, 1000);
+    finish(formId, type = null) {
+        const session = this.sessions.get(formId) || this.createSession(formId);
+        const interacted = Object.keys(session.fields).length > 0;
+        const reportType = type || (session.submitted ? 'submitted' : (interacted ? 'abandoned' : null));
+        
+        if (reportType) {
+            this.send(this.createReport(session, reportType));
         }
         
-        if (this.options.debug) {
-            console.log(`📤 Form submitted: ${formId}`);
+        // Neue Sitzung, z.B. wenn Freeform das Formular nach AJAX-Erfolg zurücksetzt
+        if (this.sessions.has(formId)) {
+            const next = this.createSession(formId);
+            next.detach = session.detach;
+            this.sessions.set(formId, next);
         }
     }
     
     /**
-     * swup.js Integration
+     * Alle offenen Sitzungen melden (Seite wird verlassen)
      */
-    setupSwupIntegration() {
-        // Wenn swup verfügbar ist
-        if (typeof swup !== 'undefined') {
-            // Vor Seitenwechsel: States speichern
-            swup.on('willReplaceContent', () => {
-                this.forms.forEach((formData, formId) => {
-                    this.saveFormState(formId);
-                });
-                
-                if (this.options.debug) {
-                    console.log('🔄 Swup: All form states saved');
-                }
-            });
-            
-            // Nach Seitenwechsel: Neue Formulare entdecken und States wiederherstellen
-            swup.on('contentReplaced', () => {
-                // Alte Form-Referenzen löschen
-                this.forms.clear();
-                
-                // Neue Formulare entdecken
-                this.discoverForms();
-                this.attachFormListeners();
-                
-                if (this.options.debug) {
-                    console.log('🔄 Swup: Forms re-initialized after page change');
-                }
-            });
-            
-            // Nach Animationen: Final cleanup
-            swup.on('animationInDone', () => {
-                // Delayed restore für dynamisch geladene Inhalte
-                setTimeout(() => {
-                    this.forms.forEach((formData, formId) => {
-                        this.restoreFormState(formId);
-                    });
-                }, 100);
-            });
-        }
-        
-        // Fallback für normale Navigation
-        window.addEventListener('beforeunload', () => {
-            this.forms.forEach((formData, formId) => {
-                this.saveFormState(formId);
-            });
-        });
+    flush() {
+        Array.from(this.sessions.keys()).forEach(formId => this.finish(formId));
     }
     
     /**
-     * Page Visibility Handlers für Auto-Save
+     * Offene Sitzungen melden und Listener entfernen
      */
-    setupVisibilityHandlers() {
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'hidden') {
-                // Tab wird versteckt - States speichern
-                this.forms.forEach((formData, formId) => {
-                    this.saveFormState(formId);
-                });
-            }
-        });
-        
-        // Mobile: pagehide Event
-        window.addEventListener('pagehide', () => {
-            this.forms.forEach((formData, formId) => {
-                this.saveFormState(formId);
-            });
-        });
+    destroy() {
+        Array.from(this.sessions.keys()).forEach(formId => this.untrack(formId));
+        this.detachPageHide();
     }
     
     /**
-     * Storage-Instanz holen
+     * Erfassung beenden, ohne offene Sitzungen zu melden (Einwilligung widerrufen)
      */
-    getStorage() {
-        return this.options.storageType === 'sessionStorage' ? 
-            sessionStorage : localStorage;
+    stop() {
+        this.stopped = true;
+        this.sessions.forEach(session => session.detach());
+        this.sessions.clear();
+        this.detachPageHide();
     }
     
     /**
-     * Debounce Helper
+     * Erfassung nach stop() wieder aufnehmen, Formulare danach erneut mit track() anmelden
      */
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func.apply(this, args);
+    start() {
+        if (!this.stopped) return;
+        
+        this.stopped = false;
+        this.detachPageHide = FreeformStateManager.listen(window, 'pagehide', () => this.flush());
+    }
+    
+    createReport(session, type) {
+        const fields = {};
+        
+        Object.entries(session.fields).forEach(([name, field]) => {
+            this.blurField(field);
+            fields[name] = {
+                focusTime: field.focusTime,
+                focusCount: field.focusCount,
+                edits: field.edits
             };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
+        });
+        
+        return {
+            event: this.options.eventName,
+            type,
+            formId: session.formId,
+            duration: Date.now() - session.startedAt,
+            lastField: session.lastField,
+            ...session.counters,
+            fields
         };
     }
     
+    send(report) {
+        if (this.stopped) return;
+        
+        [].concat(this.options.sink).forEach(sink => {
+            const handler = typeof sink === 'function' ? sink : FormAnalytics.sinks[sink];
+            if (!handler) {
+                console.error(`❌ Unknown analytics sink: ${sink}`);
+                return;
+            }
+            
+            try {
+                handler(report, this.options);
+            } catch (error) {
+                console.error('❌ Error sending analytics report:', error);
+            }
+        });
+    }
+    
     /**
-     * Öffentliche API Methoden
+     * Aktueller Stand aller Sitzungen (für getDebugInfo)
      */
-    
-    // Manuell speichern
-    save(formId) {
-        if (formId) {
-            this.saveFormState(formId);
-        } else {
-            this.forms.forEach((formData, id) => {
-                this.saveFormState(id);
-            });
+    getSessions() {
+        return Array.from(this.sessions.values()).map(session => ({
+            formId: session.formId,
+            lastField: session.lastField,
+            submitted: session.submitted,
+            ...session.counters,
+            fields: Object.keys(session.fields)
+        }));
+    }
+}
+
+/**
+ * Eingebaute Analytics-Sinks
+ */
+FormAnalytics.sinks = {
+    dataLayer: (report) => {
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push(report);
+    },
+    beacon: (report, options) => {
+        if (!options.endpoint) {
+            throw new Error('analytics.endpoint is required for the beacon sink');
+        }
+        
+        const body = JSON.stringify(report);
+        if (navigator.sendBeacon && navigator.sendBeacon(options.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
         }
+        
+        fetch(options.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {});
     }
+};
+
+/**
+ * 🧭 Navigation-Adapter für PJAX-Router
+ * handlers: beforeLeave (vor dem Austausch), afterEnter (neuer Inhalt im DOM),
+ * afterSettle (Animationen fertig). attach() liefert eine Funktion zum Abmelden.
+ */
+const getSwup = (options) => options.swup || (typeof swup !== 'undefined' ? swup : null);
+
+FreeformStateManager.navigationAdapters = {
+    // swup 2 / 3 (Event-API)
+    swup: {
+        detect: (options) => {
+            const instance = getSwup(options);
+            return Boolean(instance && typeof instance.on === 'function' && !instance.hooks);
+        },
+        attach: (handlers, options) => {
+            const instance = getSwup(options);
+            const events = {
+                willReplaceContent: handlers.beforeLeave,
+                contentReplaced: handlers.afterEnter,
+                animationInDone: handlers.afterSettle
+            };
+            Object.entries(events).forEach(([event, handler]) => instance.on(event, handler));
+            
+            return () => {
+                Object.entries(events).forEach(([event, handler]) => instance.off(event, handler));
+            };
+        }
+    },
     
-    // Manuell wiederherstellen
-    restore(formId) {
-        if (formId) {
-            this.restoreFormState(formId);
-        } else {
-            this.forms.forEach((formData, id) => {
-                this.restoreFormState(id);
-            });
+    // swup 4 (Hooks-API)
+    swup4: {
+        detect: (options) => {
+            const instance = getSwup(options);
+            return Boolean(instance && instance.hooks && typeof instance.hooks.on === 'function');
+        },
+        attach: (handlers, options) => {
+            const { hooks } = getSwup(options);
+            const registrations = [
+                ['content:replace', handlers.beforeLeave, { before: true }],
+                ['content:replace', handlers.afterEnter, {}],
+                ['visit:end', handlers.afterSettle, {}]
+            ];
+            registrations.forEach(([hook, handler, hookOptions]) => hooks.on(hook, handler, hookOptions));
+            
+            return () => {
+                registrations.forEach(([hook, handler]) => hooks.off(hook, handler));
+            };
+        }
+    },
+    
+    // Hotwire Turbo
+    turbo: {
+        detect: () => typeof window.Turbo !== 'undefined',
+        attach: (handlers) => {
+            const events = {
+                'turbo:before-render': handlers.beforeLeave,
+                'turbo:render': handlers.afterEnter,
+                'turbo:load': handlers.afterSettle
+            };
+            Object.entries(events).forEach(([event, handler]) => document.addEventListener(event, handler));
+            
+            return () => {
+                Object.entries(events).forEach(([event, handler]) => document.removeEventListener(event, handler));
+            };
+        }
+    },
+    
+    // Barba.js (Hooks lassen sich nicht entfernen, daher Flag)
+    barba: {
+        detect: () => typeof window.barba !== 'undefined' && Boolean(window.barba.hooks),
+        attach: (handlers) => {
+            let active = true;
+            const guard = (handler) => () => {
+                if (active) handler();
+            };
+            
+            window.barba.hooks.beforeLeave(guard(handlers.beforeLeave));
+            window.barba.hooks.afterEnter(guard(handlers.afterEnter));
+            window.barba.hooks.after(guard(handlers.afterSettle));
+            
+            return () => {
+                active = false;
+            };
+        }
+    },
+    
+    // htmx
+    htmx: {
+        detect: () => typeof window.htmx !== 'undefined',
+        attach: (handlers) => {
+            const events = {
+                'htmx:beforeSwap': handlers.beforeLeave,
+                'htmx:afterSwap': handlers.afterEnter,
+                'htmx:afterSettle': handlers.afterSettle
+            };
+            Object.entries(events).forEach(([event, handler]) => document.body.addEventListener(event, handler));
+            
+            return () => {
+                Object.entries(events).forEach(([event, handler]) => document.body.removeEventListener(event, handler));
+            };
         }
     }
+};
+
+/**
+ * 🍪 Consent-Manager-Adapter
+ * attach() ruft update(granted) beim Start und bei jeder Änderung auf und liefert eine Funktion zum Abmelden
+ */
+FreeformStateManager.consentManagers = {
+    // Cookiebot (Kategorie: necessary, preferences, statistics, marketing)
+    cookiebot: {
+        detect: () => typeof window.Cookiebot !== 'undefined',
+        attach: (update, options) => {
+            const category = options.consentCategory || 'preferences';
+            const check = () => {
+                const consent = window.Cookiebot && window.Cookiebot.consent;
+                if (consent) update(Boolean(consent[category]));
+            };
+            const events = ['CookiebotOnConsentReady', 'CookiebotOnAccept', 'CookiebotOnDecline'];
+            
+            events.forEach(event => window.addEventListener(event, check));
+            check();
+            
+            return () => {
+                events.forEach(event => window.removeEventListener(event, check));
+            };
+        }
+    },
     
-    // State löschen
-    clear(formId) {
-        if (formId) {
-            this.clearFormState(formId);
-        } else {
-            this.forms.forEach((formData, id) => {
-                this.clearFormState(id);
-            });
+    // OneTrust (Gruppen-ID, C0003 = Funktionale Cookies)
+    onetrust: {
+        detect: () => typeof window.OneTrust !== 'undefined' || typeof window.OnetrustActiveGroups === 'string',
+        attach: (update, options) => {
+            const group = options.consentCategory || 'C0003';
+            const check = () => {
+                if (typeof window.OnetrustActiveGroups === 'string') {
+                    update(window.OnetrustActiveGroups.split(',').includes(group));
+                }
+            };
+            
+            window.addEventListener('OneTrustGroupsUpdated', check);
+            check();
+            
+            return () => window.removeEventListener('OneTrustGroupsUpdated', check);
+        }
+    },
+    
+    // Klaro (Name des Dienstes in der Klaro-Konfiguration)
+    klaro: {
+        detect: () => typeof window.klaro !== 'undefined' && typeof window.klaro.getManager === 'function',
+        attach: (update, options) => {
+            const service = options.consentCategory || 'freeform-state';
+            const manager = window.klaro.getManager();
+            const watcher = {
+                update: (source, name) => {
+                    if (name === 'consents') update(Boolean(manager.getConsent(service)));
+                }
+            };
+            
+            manager.watch(watcher);
+            if (manager.confirmed) update(Boolean(manager.getConsent(service)));
+            
+            return () => manager.unwatch(watcher);
         }
     }
+};
+
+/**
+ * 🧩 Widget-Adapter für eigene und Drittanbieter-Eingabeelemente
+ * Mit serialize: eigener Wert in state._custom[name + suffix], restore erhält diesen Wert.
+ * Ohne serialize: nativer Feldwert, restore ersetzt das Setzen von .value (false = Standardverhalten).
+ * listen meldet Änderungen, die keine nativen input/change-Events auslösen.
+ */
+const listenTo = (element, events, save) => {
+    events.forEach(event => element.addEventListener(event, save));
+    return () => events.forEach(event => element.removeEventListener(event, save));
+};
+
+const getTinymceEditor = (element) =>
+    (element.id && typeof window.tinymce !== 'undefined' && window.tinymce.get(element.id)) || null;
+
+FreeformStateManager.widgetAdapters = {
+    // Multi-Select Dropdowns (offen/geschlossen)
+    selectMultiple: {
+        selector: '.selectMultiple',
+        suffix: '_open',
+        name: (element) => {
+            const input = element.querySelector('input[type="hidden"]');
+            return input && input.name ? input.name : null;
+        },
+        serialize: (element) => (element.classList.contains('open') ? true : undefined),
+        restore: (element, value) => {
+            if (value) element.classList.add('open');
+        },
+        // Dropdown aktualisiert sein Hidden-Feld erst nach dem Klick
+        listen: (element, save) => listenTo(element, ['click'], () => setTimeout(save, 100))
+    },
     
-    // Debugging Info
-    getDebugInfo() {
-        const info = {
-            forms: Array.from(this.forms.keys()),
-            options: this.options,
-            storage: {}
-        };
-        
-        this.forms.forEach((formData, formId) => {
-            try {
-                const storage = this.getStorage();
-                const savedData = storage.getItem(formData.storageKey);
-                info.storage[formId] = savedData ? JSON.parse(savedData) : null;
-            } catch (error) {
-                info.storage[formId] = 'Error loading';
+    // File Upload Fields (Datei-Info als Fallback, falls die Blobs fehlen)
+    fileuploader: {
+        selector: '.fileuploader-input',
+        suffix: '_files',
+        name: (element) => {
+            const input = element.querySelector('input[type="file"]');
+            return input && input.name ? input.name : null;
+        },
+        serialize: (element) => {
+            const input = element.querySelector('input[type="file"]');
+            if (!input.files || input.files.length === 0) return undefined;
+            
+            return Array.from(input.files).map(file => ({
+                name: file.name,
+                size: file.size,
+                type: file.type
+            }));
+        },
+        restore: (element, value, manager) => {
+            const input = element.querySelector('input[type="file"]');
+            const alreadyRestored = input.files && input.files.length > 0;
+            if (Array.isArray(value) && !alreadyRestored) {
+                manager.displayFileInfo(input, value);
             }
-        });
-        
-        return info;
+        },
+        listen: (element, save) => listenTo(element, ['change'], save)
+    },
+    
+    // Custom Checkbox/Radio Groups
+    checklist: {
+        selector: '.checklist, .deutschFremd',
+        listen: (element, save) => listenTo(element, ['change'], save)
+    },
+    
+    // Choices.js (Instanz am Element erwartet: select.choices = new Choices(select))
+    choices: {
+        selector: 'select[data-choice]',
+        restore: (element, value) => {
+            if (!element.choices) return false;
+            
+            element.choices.removeActiveItems();
+            element.choices.setChoiceByValue(Array.isArray(value) ? value : [value]);
+        }
+    },
+    
+    // Tom Select
+    tomselect: {
+        selector: '.tomselected',
+        restore: (element, value) => {
+            if (!element.tomselect) return false;
+            
+            element.tomselect.setValue(value, true);
+        }
+    },
+    
+    // flatpickr
+    flatpickr: {
+        selector: '.flatpickr-input[name]',
+        restore: (element, value) => {
+            if (!element._flatpickr) return false;
+            
+            element._flatpickr.setDate(Array.isArray(value) ? value[0] : value, false);
+        }
+    },
+    
+    // Quill (Container mit data-name oder id)
+    quill: {
+        selector: '.ql-container',
+        suffix: '_richtext',
+        serialize: (element) => (element.__quill ? element.__quill.root.innerHTML : undefined),
+        restore: (element, value) => {
+            if (element.__quill) element.__quill.clipboard.dangerouslyPasteHTML(value);
+        },
+        listen: (element, save) => {
+            const quill = element.__quill;
+            if (!quill) return undefined;
+            
+            quill.on('text-change', save);
+            return () => quill.off('text-change', save);
+        }
+    },
+    
+    // TinyMCE (Textarea synchronisiert erst beim Submit, daher Inhalt direkt vom Editor)
+    tinymce: {
+        selector: 'textarea[id]',
+        suffix: '_richtext',
+        serialize: (element) => {
+            const editor = getTinymceEditor(element);
+            return editor ? editor.getContent() : undefined;
+        },
+        restore: (element, value) => {
+            const editor = getTinymceEditor(element);
+            if (editor) editor.setContent(value);
+        },
+        listen: (element, save) => {
+            const editor = getTinymceEditor(element);
+            if (!editor) return undefined;
+            
+            editor.on('input change', save);
+            return () => editor.off('input change', save);
+        }
+    },
+    
+    // signature_pad ab v4 (Instanz am Canvas erwartet: canvas.signaturePad = new SignaturePad(canvas))
+    signaturePad: {
+        selector: 'canvas',
+        suffix: '_signature',
+        serialize: (element) => {
+            const pad = element.signaturePad;
+            return pad && !pad.isEmpty() ? pad.toDataURL() : undefined;
+        },
+        restore: (element, value) => {
+            if (element.signaturePad) element.signaturePad.fromDataURL(value);
+        },
+        listen: (element, save) => {
+            const pad = element.signaturePad;
+            if (!pad || typeof pad.addEventListener !== 'function') return undefined;
+            
+            return listenTo(pad, ['endStroke'], save);
+        }
     }
-}
+};
+
+/**
+ * Felder, deren Eingaben gespeichert werden
+ */
+FreeformStateManager.fieldSelector = [
+    'input[type="text"]',
+    'input[type="email"]',
+    'input[type="tel"]',
+    'input[type="url"]',
+    'input[type="number"]',
+    'input[type="password"]',
+    'input[type="search"]',
+    'input[type="date"]',
+    'input[type="time"]',
+    'input[type="datetime-local"]',
+    'input[type="radio"]',
+    'input[type="checkbox"]',
+    'input[type="file"]',
+    'select',
+    'textarea',
+    '.freeform-input'
+].join(', ');
+
+/**
+ * 🌍 Mitgelieferte Texte (weitere Sprachen über options.messages)
+ */
+FreeformStateManager.messages = {
+    de: {
+        filesRestoredTitle: 'Zuvor ausgewählte Dateien:',
+        filesReselectHint: 'Wählen Sie erneut aus, um zu ersetzen.',
+        promptTitle: 'Gespeicherter Entwurf gefunden',
+        promptSaved: 'Gespeichert am {date}',
+        promptSavedFrom: 'Gespeichert am {date} auf {url}',
+        promptChanges: {
+            one: '1 Feld würde geändert',
+            other: '{count} Felder würden geändert'
+        },
+        promptRestore: 'Wiederherstellen',
+        promptDiscard: 'Verwerfen',
+        maskedValue: 'ausgefüllt (aus Datenschutzgründen nicht gespeichert)',
+        conflictTitle: 'Dieses Formular wurde in einem anderen Tab geändert',
+        conflictSaved: 'Dort gespeichert am {date}',
+        conflictUseRemote: 'Eingaben aus dem anderen Tab übernehmen',
+        conflictKeepLocal: 'Meine Eingaben behalten',
+        offlineQueued: 'Sie sind offline. Das Formular wird automatisch gesendet, sobald wieder eine Verbindung besteht.',
+        offlineSending: 'Formular wird gesendet …',
+        offlineSent: 'Das Formular wurde gesendet.',
+        offlineFailed: 'Das Formular konnte nicht gesendet werden. Bitte prüfen Sie Ihre Eingaben und senden Sie es erneut.',
+        offlineExpired: 'Das zwischengespeicherte Formular war zu alt und wurde nicht gesendet.',
+        offlineUnconfirmed: 'Das Formular wurde gesendet, aber nicht bestätigt. Bitte prüfen Sie, ob es angekommen ist, bevor Sie es erneut senden.',
+        offlineUnavailable: 'Sie sind offline. Das Formular wurde nicht gesendet, Ihre Eingaben bleiben erhalten. Bitte senden Sie es erneut, sobald wieder eine Verbindung besteht.'
+    },
+    en: {
+        filesRestoredTitle: 'Previously selected files:',
+        filesReselectHint: 'Select again to replace them.',
+        promptTitle: 'Saved draft found',
+        promptSaved: 'Saved on {date}',
+        promptSavedFrom: 'Saved on {date} at {url}',
+        promptChanges: {
+            one: '1 field would change',
+            other: '{count} fields would change'
+        },
+        promptRestore: 'Restore',
+        promptDiscard: 'Discard',
+        maskedValue: 'filled in (not stored for privacy reasons)',
+        conflictTitle: 'This form was changed in another tab',
+        conflictSaved: 'Saved there on {date}',
+        conflictUseRemote: 'Use entries from the other tab',
+        conflictKeepLocal: 'Keep my entries',
+        offlineQueued: 'You are offline. The form will be sent automatically once you are back online.',
+        offlineSending: 'Sending form …',
+        offlineSent: 'The form has been sent.',
+        offlineFailed: 'The form could not be sent. Please check your entries and submit it again.',
+        offlineExpired: 'The stored form was too old and has not been sent.',
+        offlineUnconfirmed: 'The form was sent but not confirmed. Please check whether it arrived before submitting it again.',
+        offlineUnavailable: 'You are offline. The form has not been sent, your entries have been kept. Please submit it again once you are back online.'
+    }
+};
+
+/**
+ * Formular → verwaltende Instanz (verhindert doppelte Listener bei mehreren Instanzen)
+ */
+FreeformStateManager.formOwners = new WeakMap();
+
+/**
+ * Seitenweite Ressourcen aller Instanzen (siehe subscribe()): Ziel → Schlüssel → Abonnenten
+ */
+FreeformStateManager.shared = new WeakMap();
+
+/**
+ * Geteilte BroadcastChannels nach Name (zum Senden)
+ */
+FreeformStateManager.channels = new Map();
+
+/**
+ * Eingebaute Storage-Adapter (Factories, erhalten options.storageOptions)
+ */
+FreeformStateManager.storageAdapters = {
+    localStorage: () => new WebStorageAdapter(window.localStorage),
+    sessionStorage: () => new WebStorageAdapter(window.sessionStorage),
+    indexedDB: (storageOptions) => new IndexedDBStorageAdapter(storageOptions),
+    memory: () => new MemoryStorageAdapter()
+};
+
+FreeformStateManager.StateCipher = StateCipher;
+FreeformStateManager.RemoteSyncClient = RemoteSyncClient;
+FreeformStateManager.SubmissionQueue = SubmissionQueue;
+FreeformStateManager.FormAnalytics = FormAnalytics;
+FreeformStateManager.WebStorageAdapter = WebStorageAdapter;
+FreeformStateManager.MemoryStorageAdapter = MemoryStorageAdapter;
+FreeformStateManager.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
 
 /**
  * 🚀 Auto-Initialisierung
@@ -668,14 +6334,21 @@ function initFreeformStateManager(options = {}) {
     return new FreeformStateManager(options);
 }
 
-// DOM Ready Handler
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.freeformStateManager = initFreeformStateManager();
-    });
-} else {
-    window.freeformStateManager = initFreeformStateManager();
-}
+// Optionen für die Auto-Initialisierung, vor dem Script setzen:
+// window.freeformStateManagerOptions = { requireConsent: true } oder { autoInit: false }
+// DOM Ready Handler (ohne Auto-Init manuell starten: initFreeformStateManager({ ... }))
+(() => {
+    const { autoInit = true, ...autoInitOptions } = window.freeformStateManagerOptions || {};
+    if (!autoInit) return;
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            window.freeformStateManager = initFreeformStateManager(autoInitOptions);
+        });
+    } else {
+        window.freeformStateManager = initFreeformStateManager(autoInitOptions);
+    }
+})();
 
 /**
  * 🎯 Export für Module/Build Systems
@@ -694,23 +6367,257 @@ if (typeof define === 'function' && define.amd) {
  * // Basis-Verwendung (Auto-Init)
  * // Einfach dieses Script einbinden - läuft automatisch!
  * 
- * // Custom Options
+ * // Custom Options: vor dem Script window.freeformStateManagerOptions setzen
+ * // oder die Auto-Init-Instanz ersetzen (sonst verwaltet sie die Formulare weiter)
+ * window.freeformStateManager.destroy();
  * window.freeformStateManager = new FreeformStateManager({
  *     debug: true,
  *     storageType: 'sessionStorage',
  *     autoSave: true
  * });
  * 
- * // Manuell steuern
- * freeformStateManager.save('myFormId');
- * freeformStateManager.restore('myFormId');
- * freeformStateManager.clear('myFormId');
+ * // IndexedDB statt localStorage (kein 5-MB-Limit)
+ * new FreeformStateManager({
+ *     storageType: 'indexedDB',
+ *     storageOptions: { dbName: 'my_forms' }
+ * });
+ * 
+ * // Datei-Uploads lokal aufbewahren (Opt-in) und Limits anpassen
+ * new FreeformStateManager({
+ *     persistFiles: true,
+ *     maxFileSize: 5 * 1024 * 1024,
+ *     maxFiles: 3
+ * });
+ * 
+ * // Verschlüsselte Drafts (AES-GCM)
+ * const manager = new FreeformStateManager({
+ *     encryption: { key: () => fetch('/actions/drafts/key').then(r => r.text()) }
+ * });
+ * await manager.rotateEncryptionKey(newBase64Key);
+ * 
+ * // Mehrseitige Formulare: ein Draft, ein State pro Seite
+ * await freeformStateManager.getSteps('myFormId');   // { 0: { state, timestamp }, 1: {...} }
+ * await freeformStateManager.clearStep('myFormId', 1);
+ * freeformStateManager.getCurrentStep('myFormId');
+ * 
+ * // Lifecycle-Events (beforeSave, afterSave, beforeRestore, afterRestore,
+ * // beforeClear, cleared, expired, submit, submitSuccess, submitError, pageChanged, error)
+ * freeformStateManager.on('beforeSave', (event) => {
+ *     if (event.detail.formId === 'newsletter') event.preventDefault();
+ * });
+ * document.addEventListener('freeformstate:afterRestore', (event) => {
+ *     showToast(`Entwurf für ${event.detail.formId} wiederhergestellt`);
+ * });
+ * 
+ * // Cross-Tab (Opt-in): bei 'ask' erscheint ein Hinweis über dem Formular,
+ * // eigene Dialoge brechen das conflict-Event ab
+ * new FreeformStateManager({
+ *     crossTabSync: true,
+ *     conflictPolicy: 'ask',
+ *     on: {
+ *         conflict: (event) => {
+ *             event.preventDefault();
+ *             myDialog.open().then(choice => event.detail.resolve(choice)); // 'local' | 'remote' | 'merge'
+ *         }
+ *     }
+ * });
+ * 
+ * // Server-Sync mit "Später fortsetzen"-Link
+ * const manager = new FreeformStateManager({
+ *     remoteSync: { endpoint: '/actions/my-module/drafts/sync' }
+ * });
+ * const link = await manager.getResumeLink('myFormId'); // ...?freeform_resume=<token>
+ * // Ohne Backend (Entwicklung/Tests): freeform_state_mock_server.js einbinden und
+ * // remoteSync: { endpoint: '/drafts', fetch: new MockSyncServer().createFetch() }
+ * 
+ * // Nachfragen statt still wiederherstellen (Klassen: .freeform-restore-prompt__*)
+ * new FreeformStateManager({ restorePrompt: true });
+ * freeformStateManager.showRestorePrompt('myFormId');
+ * 
+ * // Sprache und eigene Texte (Standard: <html lang>, mitgeliefert: de, en)
+ * new FreeformStateManager({
+ *     locale: 'fr',
+ *     messages: {
+ *         fr: { promptTitle: 'Brouillon enregistré trouvé', promptRestore: 'Restaurer', promptDiscard: 'Supprimer' }
+ *     }
+ * });
+ * 
+ * // Lebensdauer und Speicherbudget
+ * new FreeformStateManager({
+ *     ttl: 12 * 60 * 60 * 1000,
+ *     formTtl: { bewerbung: 7 * 24 * 60 * 60 * 1000 },
+ *     maxStorageSize: 2 * 1024 * 1024,
+ *     on: { quotaExceeded: (event) => showNotice('Entwurf konnte nicht gespeichert werden') }
+ * });
+ * await freeformStateManager.sweepStorage();
+ * 
+ * // Geänderte Formulare: Felder umbenennen statt verlieren
+ * new FreeformStateManager({
+ *     schemaMismatch: 'migrate',
+ *     migrations: {
+ *         contact: [(state) => {
+ *             if (state.telefon) state.phone = state.telefon;
+ *             return state;
+ *         }]
+ *     }
+ * });
+ * 
+ * // Per AJAX geladene Formulare werden automatisch erkannt, sonst manuell:
+ * freeformStateManager.registerForm(document.querySelector('#lazyForm'));
+ * freeformStateManager.unregisterForm('lazyForm');
+ * 
+ * // Datenschutz: Globs/RegExp, maskierte Felder und Attribute am Feld
+ * new FreeformStateManager({
+ *     excludeFields: ['honeypot', 'CRAFT_CSRF_TOKEN', 'internal_*', /^geheim/],
+ *     maskFields: ['geburtsdatum'],
+ *     sensitiveMode: 'mask' // erkannte Passwörter, Karten, IBANs nur als "ausgefüllt" merken
+ * });
+ * // <input name="notiz" data-freeform-state="ignore">   nie speichern
+ * // <input name="pin" data-freeform-state="mask">       nur "ausgefüllt" merken
+ * // <input name="iban_demo" data-freeform-state="persist"> Erkennung übergehen
+ * // Wiederhergestellte maskierte Felder tragen [data-freeform-state-masked]
+ * 
+ * // Einwilligung: bis dahin nur im Arbeitsspeicher (vor dem Script setzen)
+ * window.freeformStateManagerOptions = {
+ *     requireConsent: true,
+ *     consentManager: 'cookiebot', // oder 'onetrust', 'klaro', 'auto'
+ *     consentCategory: 'preferences'
+ * };
+ * // Ohne Consent-Manager per API:
+ * freeformStateManager.grantConsent();
+ * freeformStateManager.revokeConsent(); // löscht sofort alle freeform_state_* Einträge
+ * 
+ * // Auto-Init abschalten und selbst starten
+ * window.freeformStateManagerOptions = { autoInit: false };
+ * const manager = initFreeformStateManager({ debug: true });
+ * 
+ * // Eigene Widgets (eingebaut: selectMultiple, fileuploader, checklist, choices,
+ * // tomselect, flatpickr, quill, tinymce, signaturePad)
+ * FreeformStateManager.registerWidgetAdapter('starRating', {
+ *     selector: '.star-rating',
+ *     suffix: '_rating',
+ *     serialize: (element) => element.dataset.value || undefined,
+ *     restore: (element, value) => element.starRating.set(value),
+ *     listen: (element, save) => {
+ *         element.addEventListener('rated', save);
+ *         return () => element.removeEventListener('rated', save);
+ *     }
+ * });
+ * 
+ * // Table-Felder/Repeater (table[3][col]): fehlende Zeilen werden über das
+ * // "Zeile hinzufügen"-Control angelegt, alternativ eigene Factory:
+ * new FreeformStateManager({
+ *     rowFactories: {
+ *         teilnehmer: (form, handle, index) => myRepeater.addRow()
+ *     }
+ * });
+ * // <button type="button" data-freeform-state-rows="teilnehmer">+ Person</button>
+ * 
+ * // Versionen: auflisten, gezielt oder schrittweise zurückspringen
+ * const snapshots = await freeformStateManager.getSnapshots('contactForm');
+ * // [{ id, timestamp, step }, ...] neueste zuerst
+ * await freeformStateManager.restoreSnapshot('contactForm', snapshots[0].id);
+ * await freeformStateManager.undo('contactForm'); // wie Strg/Cmd+Z im Formular
+ * await freeformStateManager.redo('contactForm'); // wie Strg/Cmd+Umschalt+Z, bis zum Stand vor dem ersten Undo
+ * 
+ * // Analytics (Opt-in, nie Feldwerte): completed, submitted, abandoned
+ * new FreeformStateManager({
+ *     analytics: {
+ *         sink: ['dataLayer', 'beacon'], // oder (report) => myTracker.track(report)
+ *         endpoint: '/actions/my-module/form-analytics'
+ *     }
+ * });
+ * // report = { event, type, formId, duration, lastField, restores, undos, prompts,
+ * //            submitErrors, fields: { name: { focusTime, focusCount, edits } } }
+ * 
+ * // Autosave-Takt: Debounce pro Formular, bei Dauereingabe spätestens nach maxSaveDelay,
+ * // geschrieben wird im Leerlauf (requestIdleCallback); pagehide sichert sofort
+ * new FreeformStateManager({ saveDelay: 800, maxSaveDelay: 5000, idleTimeout: 1000 });
+ * // (await freeformStateManager.getDebugInfo()).timings → Dauer der Speichervorgänge pro Formular
+ * 
+ * // Storage-Key: Freeform-Handle plus Site, Benutzer und bearbeiteter Eintrag
+ * // (freeform_state_contact|site=de|user=42), Drafts unter alten Keys werden übernommen
+ * new FreeformStateManager({
+ *     namespace: ['site', 'user', 'entry', 'path'], // 'path' = eigener Draft pro Seite
+ *     userId: () => document.body.dataset.userId // oder <html data-freeform-state-user="{{ currentUser.id ?? '' }}">
+ * });
+ * // <form data-freeform-state-key="bewerbung" data-freeform-state-entry="{{ entry.id }}">
+ * // Site: site-Option oder <html data-freeform-state-site="{{ currentSite.handle }}">;
+ * // <html lang> nur mit siteFromLang: true
+ * // Dasselbe Formular mehrmals auf einer Seite wird in DOM-Reihenfolge durchnummeriert
+ * // (contact, contact_2, ...); wechselt die Reihenfolge, je Formular data-freeform-state-key setzen
+ * 
+ * // Offline-Submits: Payload samt Dateien puffern, bei Verbindung mit frischem CSRF-Token senden
+ * new FreeformStateManager({
+ *     offlineQueue: { csrfUrl: '/actions/users/session-info', maxAge: 3 * 24 * 60 * 60 * 1000 }
+ * });
+ * freeformStateManager.on('submitQueued', (event) => console.log('wartet', event.detail.formId));
+ * freeformStateManager.on('submitSuccess', (event) => {
+ *     if (event.detail.source === 'offline') showToast('Nachträglich gesendet');
+ * });
+ * await freeformStateManager.getQueuedSubmissions(); // [{ id, key, formId, queuedAt, attempts }]
+ * // Status im Formular: .freeform-offline-status--queued | --sending | --sent | --failed | --expired | --unconfirmed
+ * // Ohne Einwilligung (requireConsent) wird nichts gepuffert: --unavailable, submitError mit queued: false
+ * // Jeder Submit trägt einen Idempotency-Key (Header, optional Feld) und wird nur von einem Tab gesendet
+ * 
+ * // Vom Server gerenderte Werte (Profil-Defaults, Hidden-Felder, Reload nach Validierungsfehler)
+ * // Felder mit Fehler behalten immer den Server-Wert, mit der Standard-Strategie werden Hidden-Felder nur aufgefüllt
+ * new FreeformStateManager({ mergeStrategy: 'only-fill-empty' }); // oder 'server-wins', 'draft-wins'
+ * // <input type="hidden" name="campaign" value="{{ campaign }}" data-freeform-state-merge="server-wins">
+ * // <div data-freeform-state-merge="draft-wins">...</div> gilt für alle Felder darin
+ * 
+ * // Eigene Instanz je Bereich oder Formularliste (Auto-Init dann mit { autoInit: false } abschalten)
+ * const checkout = new FreeformStateManager({ root: '#checkout', storageType: 'sessionStorage' });
+ * const contact = new FreeformStateManager({ forms: ['contactForm', document.querySelector('#newsletter')], scope: 'contact' });
+ * // Seitenweite Listener, Observer und Channels teilen sich alle Instanzen; Sweep und
+ * // Submit-Auswertung betreffen nur Drafts mit der eigenen scope (Standard: root-Selektor)
+ * contact.register('#lateForm');        // liefert die Form-ID
+ * await contact.unregister('contactForm'); // sichert offene Änderungen, entfernt Listener
+ * checkout.destroy();                    // alle Listener, Observer und Timer entfernen
+ * 
+ * // Submit-Ergebnis (AJAX oder nach Redirect), Draft wird nur bei Erfolg gelöscht
+ * freeformStateManager.on('submitSuccess', (event) => {
+ *     console.log('Abgeschickt:', event.detail.source, event.detail.returnUrl);
+ * });
+ * freeformStateManager.on('submitError', (event) => {
+ *     console.log('Fehler, Entwurf bleibt erhalten:', event.detail.errors);
+ * });
+ * 
+ * // Transform-Hooks: State auf dem Weg in/aus dem Storage ändern
+ * freeformStateManager.addHook('save', (state, { formId }) => {
+ *     delete state.internalNote;
+ *     return state;
+ * });
+ * 
+ * // Eigener Storage-Adapter (get/set/remove/list, gerne async)
+ * FreeformStateManager.registerStorageAdapter('api', (storageOptions) => ({
+ *     get: async (key) => (await fetch(`/drafts/${key}`)).json(),
+ *     set: (key, value) => fetch(`/drafts/${key}`, { method: 'PUT', body: JSON.stringify(value) }),
+ *     remove: (key) => fetch(`/drafts/${key}`, { method: 'DELETE' }),
+ *     list: async (prefix) => (await fetch(`/drafts?prefix=${prefix}`)).json()
+ * }));
+ * new FreeformStateManager({ storageType: 'api' });
+ * 
+ * // Manuell steuern (alle Methoden liefern Promises)
+ * await freeformStateManager.save('myFormId');
+ * await freeformStateManager.restore('myFormId');
+ * await freeformStateManager.clear('myFormId');
  * 
  * // Debug Info
- * console.log(freeformStateManager.getDebugInfo());
+ * console.log(await freeformStateManager.getDebugInfo());
+ * 
+ * // Mit swup.js (2/3/4), Turbo, Barba oder htmx: wird automatisch erkannt
+ * new FreeformStateManager({ swup: mySwupInstance });
+ * new FreeformStateManager({ navigation: ['turbo'] });
  * 
- * // Mit swup.js
- * swup.on('contentReplaced', () => {
- *     new FreeformStateManager({ debug: true });
+ * // Eigener Router
+ * FreeformStateManager.registerNavigationAdapter('myRouter', {
+ *     detect: () => Boolean(window.myRouter),
+ *     attach: (handlers) => {
+ *         window.myRouter.on('leave', handlers.beforeLeave);
+ *         window.myRouter.on('enter', handlers.afterEnter);
+ *         window.myRouter.on('done', handlers.afterSettle);
+ *         return () => window.myRouter.offAll();
+ *     }
  * });
  */
\ No newline at end of file
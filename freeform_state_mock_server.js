@@ -0,0 +1,56 @@
+/**
+ * 🧪 Mock-Endpoint für den Server-Sync des Freeform State Managers
+ * Nur für Entwicklung und Tests, nicht in Produktion einbinden
+ * Setzt das Protokoll von RemoteSyncClient im Arbeitsspeicher um (POST/GET/DELETE)
+ * 
+ * <script src="freeform_state_manager.js"></script>
+ * <script src="freeform_state_mock_server.js"></script>
+ * new FreeformStateManager({ remoteSync: { endpoint: '/drafts', fetch: new MockSyncServer().createFetch() } });
+ */
+class MockSyncServer {
+    constructor() {
+        this.drafts = new Map();
+    }
+    
+    createFetch() {
+        return (url, init) => this.handle(url, init);
+    }
+    
+    async handle(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+        const token = new URL(url, window.location.href).searchParams.get('token');
+        const respond = (status, data) => ({
+            ok: status >= 200 && status < 300,
+            status,
+            text: async () => (data === undefined ? '' : JSON.stringify(data))
+        });
+        
+        if (method === 'POST') {
+            const { key, token: existing, entry } = JSON.parse(init.body);
+            const newToken = existing && this.drafts.has(existing) ?
+                existing : Math.random().toString(36).substr(2, 12);
+            this.drafts.set(newToken, { key, entry });
+            return respond(200, { token: newToken });
+        }
+        
+        if (!this.drafts.has(token)) return respond(404, { error: 'Not found' });
+        
+        if (method === 'DELETE') {
+            this.drafts.delete(token);
+            return respond(204);
+        }
+        
+        return respond(200, this.drafts.get(token));
+    }
+}
+
+/**
+ * 🎯 Export für Module/Build Systems
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockSyncServer;
+}
+
+if (typeof define === 'function' && define.amd) {
+    define([], () => MockSyncServer);
+}